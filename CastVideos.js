@@ -21,6 +21,50 @@ import {
   breakClipsJSON,
   breaksJSON
 } from './ads.js';
+import {
+  AdBreakTracker
+} from './ad_breaks.js';
+import {
+  AdSchedule
+} from './ad_schedule.js';
+import {
+  AdTracker,
+  consoleSink,
+  createBeaconSink
+} from './ad_tracking.js';
+import {
+  MediaCatalog
+} from './catalog.js';
+import {
+  MediaQueue
+} from './queue.js';
+import {
+  ResumeStore
+} from './resume.js';
+import {
+  CAST_PLAYER_EVENT,
+  EventEmitter
+} from './events.js';
+import {
+  PLAYER_STATE,
+  PlayerStateMachine
+} from './player_state.js';
+import {
+  ProgramGuide
+} from './programs.js';
+import {
+  RetryPolicy
+} from './retry.js';
+import {
+  ThumbnailTrack
+} from './thumbnails.js';
+import {
+  StreamTimeline
+} from './timeline.js';
+import {
+  RECEIVER_MESSAGE,
+  ReceiverChannel
+} from './receiver_channel.js';
 
 /** Cleaner UI for demo purposes. */
 const DEMO_MODE = false;
@@ -28,6 +72,22 @@ const DEMO_MODE = false;
 /** @const {string} Media source root URL */
 const MEDIA_SOURCE_ROOT = 'https://storage.googleapis.com/cpe-sample-media/content/';
 
+/**
+ * URL of the media feed. Either the flat {'media': [...]} shape of media.js
+ * or the categories feed shape. The hardcoded mediaJSON is shown until the
+ * feed has loaded, and if it is null or fails to load. The sample feed is
+ * served with the page.
+ * @const {?string}
+ */
+const MEDIA_FEED_URL = new URL('fixtures/catalog.json', import.meta.url).href;
+
+/**
+ * Endpoint the ad tracking beacons are posted to, e.g. a local test server.
+ * If null, the beacons are logged.
+ * @const {?string}
+ */
+const AD_TRACKING_URL = null;
+
 /**
  * Controls if Ads are enabled. Controlled by radio button.
  * @type {boolean}
@@ -41,52 +101,111 @@ let ENABLE_ADS = false;
 let ENABLE_LIVE = false;
 
 /**
- * Buffer to decide if the live indicator should be displayed to show that
- * playback is at the playback head.
+ * Default seconds behind the live edge within which playback counts as
+ * live: the live indicator is active and no latency is shown. Further
+ * behind, "Go live" catches up. See setLiveCatchUpThreshold.
  * @const {number}
  */
-const LIVE_INDICATOR_BUFFER = 50;
+const LIVE_CATCH_UP_THRESHOLD = 50;
 
 /**
- * Width of progress bar in pixels.
+ * Space, in pixels, between the progress bar and the controls to its right.
  * @const {number}
  */
-const PROGRESS_BAR_WIDTH = 700;
+const PROGRESS_BAR_MARGIN = 10;
 
 /**
- * Time in milliseconds for minimal progress update.
+ * Maximal time, in seconds, the progress is interpolated ahead of the last
+ * time reported by the player. Keeps the progress bar from running away
+ * when the player stalls without reporting it.
  * @const {number}
  */
-const TIMER_STEP = 1000;
+const MAX_PROGRESS_INTERPOLATION = 2;
 
 /**
- * Cast volume upon initial connection.
+ * Minimal progress, in seconds, between two saves of the resume position.
  * @const {number}
  */
-const DEFAULT_VOLUME = 0.5;
+const RESUME_SAVE_INTERVAL = 5;
+
+/**
+ * Number of automatic retries of a load that failed with a transient error.
+ * @const {number}
+ */
+const MAX_LOAD_RETRIES = 3;
+
+/**
+ * Delay in milliseconds before the first automatic retry of a load. Doubled
+ * for each further retry.
+ * @const {number}
+ */
+const LOAD_RETRY_DELAY = 2000;
+
+/**
+ * Playback rates offered by the speed selector.
+ * @const {!Array<number>}
+ */
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
 
 /**
- * Height, in pixels, of volume bar.
+ * Namespace of the Cast media channel, used for the commands that
+ * RemotePlayerController does not provide.
+ * @const {string}
+ */
+const MEDIA_NAMESPACE = 'urn:x-cast:com.google.cast.media';
+
+/**
+ * First requestId of the media commands sent by the page. The SDK numbers
+ * its own media requests from 1, so the page counts up from far above them.
+ * @const {number}
+ */
+const MEDIA_REQUEST_ID_BASE = 1000000000;
+
+/**
+ * Custom namespace of the app messages of CastVideos receivers, see
+ * ReceiverChannel.
+ * @const {string}
+ */
+const APP_NAMESPACE = 'urn:x-cast:com.google.cast.sample.castvideos';
+
+/**
+ * Seconds skipped by the seek shortcuts.
+ * @const {number}
+ */
+const SEEK_STEP = 10;
+
+/**
+ * Volume change, between 0 and 1, of the volume shortcuts.
  * @const {number}
  */
-const FULL_VOLUME_HEIGHT = 100;
+const VOLUME_STEP = 0.1;
 
-/** @enum {string} Constants of states for media for both local and remote playback */
-const PLAYER_STATE = {
-  // No media is loaded into the player. For remote playback, maps to
-  // the PlayerState.IDLE state.
-  IDLE: 'IDLE',
-  // Player is in PLAY mode but not actively playing content. For remote
-  // playback, maps to the PlayerState.BUFFERING state.
-  BUFFERING: 'BUFFERING',
-  // The media is loaded but not playing.
-  LOADED: 'LOADED',
-  // The media is playing. For remote playback, maps to the PlayerState.PLAYING state.
-  PLAYING: 'PLAYING',
-  // The media is paused. For remote playback, maps to the PlayerState.PAUSED state.
-  PAUSED: 'PAUSED'
+/**
+ * Keyboard shortcuts, mapping KeyboardEvent.key to CastPlayer methods.
+ * They apply to the local and the remote player alike, while focus is in
+ * #main_video.
+ * @const {!Object<string, string>}
+ */
+const KEYBOARD_SHORTCUTS = {
+  ' ': 'togglePlay',
+  'k': 'togglePlay',
+  'ArrowLeft': 'seekBackward',
+  'ArrowRight': 'seekForward',
+  'ArrowUp': 'volumeUp',
+  'ArrowDown': 'volumeDown',
+  'm': 'toggleMute',
+  'f': 'toggleFullscreen',
+  'c': 'toggleCaptions',
+  's': 'skipAdShortcut',
+  'l': 'goLive'
 };
 
+/**
+ * Cast volume upon initial connection.
+ * @const {number}
+ */
+const DEFAULT_VOLUME = 0.5;
+
 /**
  * Cast player object
  * Main variables:
@@ -98,23 +217,48 @@ const PLAYER_STATE = {
  * @struct @constructor
  */
 var CastPlayer = function () {
+  /** @type {EventEmitter} Dispatcher of CAST_PLAYER_EVENT events */
+  this.events = new EventEmitter();
+
   /** @type {PlayerHandler} Delegation proxy for media playback */
   this.playerHandler = new PlayerHandler(this);
 
-  /** @type {PLAYER_STATE} A state for media playback */
-  this.playerState = PLAYER_STATE.IDLE;
+  /** @type {PlayerStateMachine} Guards the transitions of playerState */
+  this.stateMachine = new PlayerStateMachine();
+  /**
+   * @type {PLAYER_STATE} A state for media playback. Read only, use
+   * setPlayerState to change it.
+   */
+  this.playerState = this.stateMachine.state;
 
   /**
-   * @type {PLAYER_STATE} Player state before switching between local and
-   * remote playback.
+   * @type {?Object} Playback context taken when switching between local and
+   * remote playback, see takeHandoffSnapshot. Cleared once the new player
+   * has restored it.
+   */
+  this.handoffSnapshot = null;
+  /** @type {boolean} Pause instead of play once the loading media is ready */
+  this.startPaused = false;
+  /**
+   * @type {?Object} Playback context of the previous device while switching
+   * to another device. Playback continues on the new device from it.
+   */
+  this.deviceSwitchSnapshot = null;
+  /**
+   * @type {boolean} The session is ended without stopping the receiver, so
+   * local playback does not start on its own.
    */
-  this.playerStateBeforeSwitch = null;
+  this.leaveReceiverPlaying = false;
 
   /* Cast player variables */
   /** @type {cast.framework.RemotePlayer} */
   this.remotePlayer = null;
   /** @type {cast.framework.RemotePlayerController} */
   this.remotePlayerController = null;
+  /** @type {!ReceiverChannel} App messages to and from the receiver */
+  this.receiverChannel = new ReceiverChannel(APP_NAMESPACE);
+  /** @type {number} requestId of the next media command sent by the page */
+  this.nextMediaRequestId = MEDIA_REQUEST_ID_BASE;
 
   /* Local+Remote player variables */
   /** @type {number} A number for current time in seconds. Maintained in media time. */
@@ -125,18 +269,84 @@ var CastPlayer = function () {
    */
   this.mediaDuration = -1;
 
-  /** @type {?number} A timer for tracking progress of media */
-  this.timer = null;
-  /** @type {function()} Listener for handling current time increments */
-  this.incrementMediaTimeHandler = this.incrementMediaTime.bind(this);
-  /** @type {function()} Listener to be added/removed for the seek action */
-  this.seekMediaListener = this.seekMedia.bind(this);
+  /** @type {ResumeStore} Saved playback positions of catalog entries */
+  this.resumeStore = new ResumeStore();
+  /** @type {number} Media time in seconds of the last saved resume position */
+  this.lastResumeSaveTime = 0;
+
+  /** @type {RetryPolicy} Automatic retries of failed loads */
+  this.loadRetry = new RetryPolicy(MAX_LOAD_RETRIES, LOAD_RETRY_DELAY);
+  /** @type {?number} A timer for the next automatic load retry */
+  this.loadRetryTimer = null;
+  /**
+   * @type {boolean} Continue playback locally once the Cast session ends,
+   * set when falling back from a failed remote load.
+   */
+  this.resumeLocallyAfterSwitch = false;
+
+  /** @type {number} Volume of the current player, between 0 and 1 */
+  this.volume = DEFAULT_VOLUME;
+  /** @type {boolean} Whether the current player is muted */
+  this.muted = false;
+
+  /** @type {number} Playback rate, 1 is normal speed */
+  this.playbackRate = 1;
+  /**
+   * @type {?chrome.cast.media.Media} Remote media session observed for
+   * changes that RemotePlayer does not report, such as the playback rate.
+   */
+  this.observedMediaSession = null;
+  /** @type {function(boolean)} Listener for remote media session updates */
+  this.mediaSessionUpdateListener = this.onMediaSessionUpdate.bind(this);
+
+  /** @type {!Array<number>} Ids of the active text tracks */
+  this.activeTrackIds = [];
+
+  /** @type {MediaQueue} Playback order shared by local and remote playback */
+  this.queue = new MediaQueue();
+
+  /** @type {?number} Animation frame request interpolating the progress */
+  this.progressFrame = null;
+  /** @type {function(number)} Callback of the progress animation frames */
+  this.interpolateProgressHandler = this.interpolateProgress.bind(this);
+  /** @type {number} Media time last reported by the player */
+  this.reportedMediaTime = 0;
+  /** @type {number} performance.now() when reportedMediaTime was updated */
+  this.reportedAt = 0;
+  /** @type {boolean} Whether the progress bar accepts seeks */
+  this.progressBarEnabled = true;
+  /** @type {?number} Media time under the pointer while scrubbing */
+  this.scrubTime = null;
+  /** @type {?ThumbnailTrack} Trick-play thumbnails of the current media */
+  this.thumbnailTrack = null;
+  /** @type {?string} Catalog id of the media of thumbnailTrack */
+  this.thumbnailTrackId = null;
 
   /* Local player variables */
   /** @type {number} A number for current media index */
   this.currentMediaIndex = 0;
+  /**
+   * @type {boolean} The current media is not in the catalog: the receiver
+   * plays media loaded by another sender, or a catalog refresh removed it.
+   * currentMediaIndex is then the last catalog entry played and does not
+   * describe the current media.
+   */
+  this.isExternalMedia = false;
+  /** @type {MediaCatalog} Source of the media contents */
+  this.catalog = new MediaCatalog(MEDIA_SOURCE_ROOT);
   /** @type {?Object} media contents from JSON */
-  this.mediaContents = null;
+  this.mediaContents = this.catalog.parse(mediaJSON);
+  /**
+   * @type {!Object<string, !Promise<!AdSchedule>>} Ad schedules by catalog
+   * id, loaded when first played with ads
+   */
+  this.adSchedules = {};
+  // Start with a live entry when live is enabled.
+  if (ENABLE_LIVE) {
+    this.currentMediaIndex = Math.max(0, this.findLiveMediaIndex());
+  }
+  // The queue always holds the current media.
+  this.queue.insert(this.mediaContents[this.currentMediaIndex]['id']);
   /** @type {boolean} Fullscreen mode on/off */
   this.fullscreen = false;
 
@@ -150,16 +360,65 @@ var CastPlayer = function () {
    * negative or not defined, it means that the current break clip is not skippable.
    */
   this.whenSkippable = null;
+  /** @type {boolean} The current break clip can be skipped now. */
+  this.skippable = false;
+  /**
+   * @type {?{id: string, title: ?string, clickThroughUrl: ?string,
+   *     duration: ?number}} Break clip being played
+   */
+  this.currentBreakClip = null;
+  /** @type {boolean} A break started and has not ended yet */
+  this.inBreak = false;
+  /** @type {!AdTracker} Reports impressions and progress of break clips */
+  this.adTracker = new AdTracker(
+    AD_TRACKING_URL ? createBeaconSink(AD_TRACKING_URL) : consoleSink);
+  /** @type {?AdBreakTracker} Breaks of the local media, null without ads */
+  this.localAds = null;
+  /**
+   * @type {?{adBreak: !Object, clipIndex: number, resumeTime: number}}
+   * Break the local player is playing, and the content time to continue at
+   */
+  this.localAdBreak = null;
+  /** @type {?Object} Resolved clip of the local break being played */
+  this.localAdClip = null;
+  /**
+   * @type {number} Content time local breaks are due from, -1 before the
+   * content started
+   */
+  this.lastContentTime = -1;
+  /**
+   * @type {!StreamTimeline} Maps the stream time of the current media to
+   * content time around its embedded breaks
+   */
+  this.streamTimeline = new StreamTimeline();
 
   /* Live variables */
   /** @type {?chrome.cast.media.LiveSeekableRange} Seekable range for live content */
   this.liveSeekableRange = null;
-  /** @type {boolean} Remote player is playing live content. */
+  /** @type {boolean} Current player is playing live content. */
   this.isLiveContent = false;
-
+  /**
+   * @type {?{startTimeInMedia: number, duration: ?number,
+   *     startAbsoluteTime: ?number}} Part of the live content shown on the
+   * progress bar, media times are relative to its start. Null if unknown.
+   */
+  this.liveSection = null;
+  /** @type {number} Seconds behind the live edge that still count as live */
+  this.liveCatchUpThreshold = LIVE_CATCH_UP_THRESHOLD;
+  /** @type {!ProgramGuide} Programs of the current live media */
+  this.programGuide = new ProgramGuide();
+
+  this.addUIListeners();
+  this.addAccessibilityListeners();
+  this.addLocalPlayerListeners();
   this.setupLocalPlayer();
   this.addVideoThumbs();
+  this.renderContinueWatching();
   this.initializeUI();
+
+  if (MEDIA_FEED_URL) {
+    this.loadCatalog(this.catalog.load(MEDIA_FEED_URL));
+  }
 };
 
 CastPlayer.prototype.initializeCastPlayer = function () {
@@ -189,24 +448,340 @@ CastPlayer.prototype.initializeCastPlayer = function () {
       this.switchPlayer(e.value);
     }.bind(this)
   );
+  this.addRemotePlayerListeners();
+  this.addSessionListeners();
+};
+
+/**
+ * Keep the session panel in sync with the Cast state and add its actions.
+ */
+CastPlayer.prototype.addSessionListeners = function () {
+  let context = cast.framework.CastContext.getInstance();
+  context.addEventListener(
+    cast.framework.CastContextEventType.CAST_STATE_CHANGED,
+    this.updateSessionPanel.bind(this));
+  context.addEventListener(
+    cast.framework.CastContextEventType.SESSION_STATE_CHANGED,
+    function (event) {
+      if (event.sessionState == cast.framework.SessionState.SESSION_START_FAILED) {
+        this.onDeviceSwitchFailed();
+      }
+      this.updateSessionPanel();
+    }.bind(this));
+
+  document.getElementById('session_switch').addEventListener(
+    'click', this.switchDevice.bind(this));
+  document.getElementById('session_disconnect').addEventListener(
+    'click', this.endSession.bind(this, false));
+  document.getElementById('session_stop').addEventListener(
+    'click', this.endSession.bind(this, true));
+
+  document.getElementById('session_panel').style.display = 'block';
+  this.updateSessionPanel();
+};
+
+/**
+ * Show the Cast state, the connected device and the actions available.
+ */
+CastPlayer.prototype.updateSessionPanel = function () {
+  if (!this.remotePlayer) return;
+
+  let context = cast.framework.CastContext.getInstance();
+  let session = context.getCurrentSession();
+  let device = session && session.getCastDevice();
+  let status = '';
+  switch (context.getCastState()) {
+    case cast.framework.CastState.NO_DEVICES_AVAILABLE:
+      status = 'No devices found';
+      break;
+    case cast.framework.CastState.NOT_CONNECTED:
+      status = this.deviceSwitchSnapshot ? 'Choose a device' : 'Not casting';
+      break;
+    case cast.framework.CastState.CONNECTING:
+      // Sessions joined automatically are resumed, not started by the user.
+      status = context.getSessionState() == cast.framework.SessionState.SESSION_STARTING ?
+        'Connecting...' : 'Reconnecting...';
+      break;
+    case cast.framework.CastState.CONNECTED:
+      status = 'Casting to';
+      break;
+  }
+
+  document.getElementById('session_status').textContent = status;
+  document.getElementById('session_device').textContent =
+    device ? device.friendlyName : '';
+  document.getElementById('session_capabilities').textContent =
+    device ? CastPlayer.getCapabilitiesString(device.capabilities) : '';
+
+  let connected = !!device && this.isCasting();
+  document.getElementById('session_switch').style.display =
+    connected ? 'inline-block' : 'none';
+  document.getElementById('session_disconnect').style.display =
+    connected ? 'inline-block' : 'none';
+  document.getElementById('session_stop').style.display =
+    connected ? 'inline-block' : 'none';
+};
+
+/**
+ * End the Cast session.
+ * @param {boolean} stopCasting Whether to stop the receiver as well. If not,
+ *     the receiver keeps playing and local playback stays paused.
+ */
+CastPlayer.prototype.endSession = function (stopCasting) {
+  if (!this.isCasting()) return;
+
+  this.leaveReceiverPlaying = !stopCasting;
+  cast.framework.CastContext.getInstance().endCurrentSession(stopCasting);
+};
+
+/**
+ * Move playback to another device. The Cast dialog ends the current session
+ * and starts the new one; playback continues from the current position.
+ */
+CastPlayer.prototype.switchDevice = function () {
+  if (!this.isCasting()) return;
+
+  this.deviceSwitchSnapshot = this.takeHandoffSnapshot();
+  cast.framework.CastContext.getInstance().requestSession().then(
+    function () {
+      // Also reached when the same device was chosen again.
+      this.deviceSwitchSnapshot = null;
+      this.updateSessionPanel();
+    }.bind(this),
+    function (errorCode) {
+      console.log('Device switch: ' + CastPlayer.getErrorMessage(errorCode));
+      this.onDeviceSwitchFailed();
+    }.bind(this));
+};
+
+/**
+ * Continue locally if the previous session ended but no new one started.
+ */
+CastPlayer.prototype.onDeviceSwitchFailed = function () {
+  let snapshot = this.deviceSwitchSnapshot;
+  this.deviceSwitchSnapshot = null;
+  if (!snapshot || this.isCasting()) {
+    this.updateSessionPanel();
+    return;
+  }
+
+  this.restoreHandoffSnapshot(snapshot);
+  if (snapshot.active) {
+    this.startPaused = snapshot.paused;
+    this.playerHandler.load();
+  }
+  this.updateSessionPanel();
+};
+
+/**
+ * Show a message on top of the receiver's player.
+ * @param {string} text
+ * @param {?number=} duration Seconds to show it, until replaced if not set.
+ * @return {!Promise} Resolves once shown, see ReceiverChannel for failures.
+ */
+CastPlayer.prototype.showReceiverOverlay = function (text, duration) {
+  return this.receiverChannel.send(RECEIVER_MESSAGE.SHOW_OVERLAY, {
+    'text': text,
+    'duration': duration || null
+  });
+};
+
+/**
+ * @return {!Promise<!Object>} Resolves with the diagnostics the receiver
+ *     reports, see ReceiverChannel for failures.
+ */
+CastPlayer.prototype.getReceiverDiagnostics = function () {
+  return this.receiverChannel.send(RECEIVER_MESSAGE.GET_DIAGNOSTICS, {});
+};
+
+/**
+ * Tell the receiver who is watching, instead of passing it in the customData
+ * of every load.
+ * @param {{id: string, name: string, preferences: !Object}} profile
+ * @return {!Promise} Resolves once applied, see ReceiverChannel for failures.
+ */
+CastPlayer.prototype.setReceiverUserProfile = function (profile) {
+  return this.receiverChannel.send(RECEIVER_MESSAGE.SET_USER_PROFILE, {
+    'id': profile.id,
+    'name': profile.name,
+    'preferences': profile.preferences
+  });
+};
+
+/**
+ * Answer the requests of a type sent by the receiver.
+ * @param {string} type
+ * @param {?function(*): *} handler Returns the data of the response or a
+ *     promise of it, null to remove the handler.
+ */
+CastPlayer.prototype.setReceiverMessageHandler = function (type, handler) {
+  this.receiverChannel.setHandler(type, handler);
+};
+
+/**
+ * Subscribe to player events.
+ * @param {CAST_PLAYER_EVENT} type
+ * @param {function(!Object)} listener
+ */
+CastPlayer.prototype.addEventListener = function (type, listener) {
+  this.events.addEventListener(type, listener);
+};
+
+/**
+ * Unsubscribe from player events.
+ * @param {CAST_PLAYER_EVENT} type
+ * @param {function(!Object)} listener
+ */
+CastPlayer.prototype.removeEventListener = function (type, listener) {
+  this.events.removeEventListener(type, listener);
+};
+
+/**
+ * Dispatch a player event to the subscribers.
+ * @param {CAST_PLAYER_EVENT} type
+ * @param {!Object=} detail
+ */
+CastPlayer.prototype.emit = function (type, detail) {
+  this.events.emit(type, detail);
+};
+
+/**
+ * Change the player state and notify the subscribers. Illegal transitions
+ * are rejected, see PLAYER_STATE_TRANSITIONS.
+ * @param {PLAYER_STATE} state
+ * @param {?string=} reason What caused the change, for debugging.
+ * @return {boolean} Whether the state was changed.
+ */
+CastPlayer.prototype.setPlayerState = function (state, reason) {
+  let previousState = this.playerState;
+  if (!this.stateMachine.transition(state, reason)) {
+    return false;
+  }
+
+  this.playerState = state;
+  // The progress only moves between time updates while playing.
+  if (state != PLAYER_STATE.PLAYING) {
+    this.stopProgressTimer();
+  } else if (!this.progressFrame) {
+    this.startProgressTimer();
+  }
+  if (state != previousState) {
+    this.emit(CAST_PLAYER_EVENT.STATE_CHANGE, {
+      state: state,
+      previousState: previousState,
+      reason: reason || null
+    });
+  }
+  return true;
+};
+
+/**
+ * @return {!Array<!Object>} Recent player state transitions, including the
+ *     rejected ones, oldest first.
+ */
+CastPlayer.prototype.getStateHistory = function () {
+  return this.stateMachine.getHistory();
+};
+
+/**
+ * @return {boolean} Whether a Cast session is connected.
+ */
+CastPlayer.prototype.isCasting = function () {
+  return !!(this.remotePlayer && this.remotePlayer.isConnected);
+};
+
+/**
+ * Show or hide the skip button of the current break clip.
+ * @param {boolean} skippable
+ */
+CastPlayer.prototype.setSkippable = function (skippable) {
+  if (skippable != this.skippable) {
+    this.skippable = skippable;
+    this.emit(CAST_PLAYER_EVENT.SKIPPABLE_CHANGE, { skippable: skippable });
+  }
 };
 
 /**
  * Switch between the remote and local players.
  */
 CastPlayer.prototype.switchPlayer = function () {
-  this.playerStateBeforeSwitch = this.playerState;
+  this.saveResumePosition(true);
+  // While switching devices, playback continues from the previous device.
+  this.handoffSnapshot = this.deviceSwitchSnapshot || this.takeHandoffSnapshot();
+  if (this.leaveReceiverPlaying) {
+    this.leaveReceiverPlaying = false;
+    this.handoffSnapshot.paused = true;
+  }
 
   this.stopProgressTimer();
-  this.resetVolumeSlider();
+  this.updateSessionPanel();
 
   // Session is active
   if (cast && cast.framework && this.remotePlayer.isConnected) {
     // Pause local playback
-    this.playerHandler.pause();
+    if (this.isMediaActive()) {
+      this.playerHandler.pause();
+    }
+    let session = cast.framework.CastContext.getInstance().getCurrentSession();
+    this.receiverChannel.attach(session);
     this.setupRemotePlayer();
+    this.deviceSwitchSnapshot = null;
+    this.emit(CAST_PLAYER_EVENT.CAST_CONNECTED, {
+      deviceName: session.getCastDevice().friendlyName
+    });
   } else {
+    this.receiverChannel.detach();
     this.setupLocalPlayer();
+    this.emit(CAST_PLAYER_EVENT.CAST_DISCONNECTED);
+  }
+};
+
+/**
+ * Capture the playback context of the player being switched away from, to
+ * be restored by the other player.
+ * @return {{currentTime: number, active: boolean, paused: boolean,
+ *     volume: number, muted: boolean, activeTrackIds: !Array<number>,
+ *     playbackRate: number}}
+ */
+CastPlayer.prototype.takeHandoffSnapshot = function () {
+  let snapshot = {
+    currentTime: this.currentMediaTime,
+    // Whether media was loaded at all, playback only continues if it was.
+    // Media outside the catalog cannot be played locally.
+    active: this.isMediaActive() && !this.isExternalMedia,
+    paused: this.playerState == PLAYER_STATE.PAUSED,
+    volume: this.volume,
+    muted: this.muted,
+    activeTrackIds: this.activeTrackIds.slice(),
+    playbackRate: this.playbackRate
+  };
+
+  // After a disconnect, the remote player keeps the last state of the
+  // receiver while its live properties are reset.
+  let saved = this.remotePlayer && !this.isCasting() &&
+    this.remotePlayer.savedPlayerState;
+  if (saved && !this.isLiveContent) {
+    snapshot.currentTime = saved.currentTime;
+    snapshot.active = this.findCatalogIndex(saved.mediaInfo) >= 0;
+    snapshot.paused = saved.isPaused;
+  }
+  return snapshot;
+};
+
+/**
+ * Apply a playback context to the current player. Position, text tracks and
+ * rate take effect with the next load.
+ * @param {!Object} snapshot See takeHandoffSnapshot.
+ */
+CastPlayer.prototype.restoreHandoffSnapshot = function (snapshot) {
+  this.currentMediaTime = snapshot.currentTime;
+  this.activeTrackIds = snapshot.activeTrackIds;
+  this.playbackRate = snapshot.playbackRate;
+  this.playerHandler.setVolume(snapshot.volume);
+  if (snapshot.muted) {
+    this.playerHandler.mute();
+  } else {
+    this.playerHandler.unMute();
   }
 };
 
@@ -233,7 +808,8 @@ CastPlayer.prototype.switchPlayer = function () {
  *  - prepareToPlay()
  *  - getMediaDuration()
  *  - getCurrentMediaTime()
- *  - setVolume(volumeSliderPosition)
+ *  - setVolume(volume)
+ *  - getVolume()
  *  - mute()
  *  - unMute()
  *  - isMuted()
@@ -241,6 +817,18 @@ CastPlayer.prototype.switchPlayer = function () {
  *  - updateCurrentTimeDisplay()
  *  - updateDurationDisplay()
  *  - setTimeString(element, time)
+ *  - queueNext()
+ *  - queuePrevious()
+ *  - queueInsert(id, position)
+ *  - queueRemove(position)
+ *  - queueReorder(from, to)
+ *  - getTextTracks()
+ *  - setActiveTracks(trackIds)
+ *  - setPlaybackRate(rate)
+ *
+ * The queue methods are called before castPlayer.queue is changed. Edits
+ * return false if the target refuses them, castPlayer.queue is then left
+ * as it is.
  */
 var PlayerHandler = function (castPlayer) {
   this.target = {};
@@ -250,28 +838,36 @@ var PlayerHandler = function (castPlayer) {
   };
 
   this.play = function () {
-    if (castPlayer.playerState == PLAYER_STATE.IDLE ||
-      !this.target.isMediaLoaded(castPlayer.currentMediaIndex)) {
+    let stopped = castPlayer.playerState == PLAYER_STATE.IDLE ||
+      castPlayer.playerState == PLAYER_STATE.ENDED ||
+      castPlayer.playerState == PLAYER_STATE.ERROR;
+    if (stopped || !this.target.isMediaLoaded(castPlayer.currentMediaIndex)) {
+      // Continue from the saved position when starting new media.
+      if (stopped && castPlayer.currentMediaTime == 0) {
+        castPlayer.currentMediaTime = castPlayer.resumeStore.getTime(
+          castPlayer.mediaContents[castPlayer.currentMediaIndex]['id']);
+      }
       this.load(castPlayer.currentMediaIndex);
       return;
     }
 
-    castPlayer.playerState = PLAYER_STATE.PLAYING;
+    castPlayer.setPlayerState(PLAYER_STATE.PLAYING, 'play');
     this.target.play();
-
-    document.getElementById('play').style.display = 'none';
-    document.getElementById('pause').style.display = 'block';
   };
 
   this.pause = function () {
+    // Validate before the command reaches the target.
+    if (!castPlayer.stateMachine.canTransition(PLAYER_STATE.PAUSED)) {
+      castPlayer.setPlayerState(PLAYER_STATE.PAUSED, 'pause');
+      return;
+    }
     this.target.pause();
-    castPlayer.playerState = PLAYER_STATE.PAUSED;
-    document.getElementById('play').style.display = 'block';
-    document.getElementById('pause').style.display = 'none';
+    castPlayer.setPlayerState(PLAYER_STATE.PAUSED, 'pause');
+    castPlayer.saveResumePosition(true);
   };
 
   this.stop = function () {
-    castPlayer.playerState = PLAYER_STATE.IDLE;
+    castPlayer.setPlayerState(PLAYER_STATE.IDLE, 'stop');
     this.target.stop();
   };
 
@@ -279,7 +875,7 @@ var PlayerHandler = function (castPlayer) {
     if (!mediaIndex) {
       mediaIndex = castPlayer.currentMediaIndex;
     }
-    castPlayer.playerState = PLAYER_STATE.BUFFERING;
+    castPlayer.setPlayerState(PLAYER_STATE.BUFFERING, 'load');
     this.target.load(mediaIndex);
   };
 
@@ -294,32 +890,52 @@ var PlayerHandler = function (castPlayer) {
 
   /**
    * Called after media has been successfully loaded and is ready to start playback.
-   * When local, will start playing the video, start the timer, and update the UI.
-   * When remote, will set the UI to PLAYING and start the timer to update the
-   *   UI based on remote playback.
+   * When local, will start playing the video and update the UI.
+   * When remote, will set the UI to PLAYING and update the UI based on
+   *   remote playback.
    */
   this.prepareToPlay = function () {
     castPlayer.mediaDuration = this.getMediaDuration();
     castPlayer.playerHandler.updateDurationDisplay();
-    castPlayer.playerState = PLAYER_STATE.LOADED;
+    castPlayer.setPlayerState(PLAYER_STATE.LOADED, 'loaded');
+    castPlayer.loadRetry.reset();
+    castPlayer.hideErrorOverlay();
 
-    this.play();
-    castPlayer.startProgressTimer();
+    if (castPlayer.startPaused) {
+      castPlayer.startPaused = false;
+      this.pause();
+    } else {
+      this.play();
+    }
     this.updateDisplay();
   };
 
+  /**
+   * @return {?number} Content time, the times of the target are stream
+   *     times that include the embedded breaks.
+   */
   this.getCurrentMediaTime = function () {
-    return this.target.getCurrentMediaTime();
+    return castPlayer.streamTimeline.toContentTime(this.target.getCurrentMediaTime());
   };
 
+  /**
+   * @return {?number} Content duration, without the embedded breaks.
+   */
   this.getMediaDuration = function () {
-    return this.target.getMediaDuration();
+    return castPlayer.streamTimeline.toContentDuration(this.target.getMediaDuration());
+  };
+
+  /**
+   * @return {?number} Time of the target, including the embedded breaks.
+   */
+  this.getStreamTime = function () {
+    return this.target.getCurrentMediaTime();
   };
 
   this.updateDisplay = function () {
     // Update local variables
-    this.currentMediaTime = this.target.getCurrentMediaTime();
-    this.mediaDuration = this.target.getMediaDuration();
+    this.currentMediaTime = this.getCurrentMediaTime();
+    this.mediaDuration = this.getMediaDuration();
 
     this.target.updateDisplay();
   };
@@ -339,83 +955,289 @@ var PlayerHandler = function (castPlayer) {
     this.target.setTimeString(element, time);
   };
 
-  this.setVolume = function (volumeSliderPosition) {
-    this.target.setVolume(volumeSliderPosition);
+  /**
+   * @param {number} volume Volume between 0 and 1.
+   */
+  this.setVolume = function (volume) {
+    this.target.setVolume(Math.max(0, Math.min(1, volume)));
+  };
+
+  /**
+   * @return {number} Volume between 0 and 1.
+   */
+  this.getVolume = function () {
+    return this.target.getVolume();
   };
 
   this.mute = function () {
     this.target.mute();
-    document.getElementById('audio_on').style.display = 'none';
-    document.getElementById('audio_off').style.display = 'block';
   };
 
   this.unMute = function () {
     this.target.unMute();
-    document.getElementById('audio_on').style.display = 'block';
-    document.getElementById('audio_off').style.display = 'none';
   };
 
   this.isMuted = function () {
     return this.target.isMuted();
   };
 
+  /**
+   * @param {number} time Content time, embedded breaks at it play first.
+   */
   this.seekTo = function (time) {
+    this.target.seekTo(castPlayer.streamTimeline.toStreamTime(time));
+  };
+
+  /**
+   * @param {number} time Time of the target, including the embedded breaks.
+   */
+  this.seekToStreamTime = function (time) {
     this.target.seekTo(time);
   };
-};
 
-/**
- * Set the PlayerHandler target to use the video-element player
- */
-CastPlayer.prototype.setupLocalPlayer = function () {
-  // Cleanup remote player UI
-  document.getElementById('live_indicator').style.display = 'none';
-  this.removeAdMarkers();
-  document.getElementById('skip').style.display = 'none';
+  this.queueNext = function () {
+    this.target.queueNext();
+  };
 
-  var localPlayer = document.getElementById('video_element');
-  localPlayer.addEventListener(
-    'loadeddata', this.onMediaLoadedLocally.bind(this));
+  this.queuePrevious = function () {
+    this.target.queuePrevious();
+  };
 
-  // This object will implement PlayerHandler callbacks with localPlayer
-  var playerTarget = {};
+  this.queueInsert = function (id, position) {
+    return this.target.queueInsert(id, position);
+  };
 
-  playerTarget.play = function () {
-    localPlayer.play();
+  this.queueRemove = function (position) {
+    return this.target.queueRemove(position);
+  };
 
-    var vi = document.getElementById('video_image');
-    vi.style.display = 'none';
-    localPlayer.style.display = 'block';
+  this.queueReorder = function (from, to) {
+    return this.target.queueReorder(from, to);
   };
 
-  playerTarget.pause = function () {
-    localPlayer.pause();
+  /**
+   * @return {!Array<{trackId: number, name: string, language: string}>}
+   *     Text tracks of the loaded media.
+   */
+  this.getTextTracks = function () {
+    return this.target.getTextTracks();
   };
 
-  playerTarget.stop = function () {
-    localPlayer.stop();
+  /**
+   * @param {!Array<number>} trackIds Text tracks to show, none if empty.
+   */
+  this.setActiveTracks = function (trackIds) {
+    castPlayer.activeTrackIds = trackIds;
+    this.target.setActiveTracks(trackIds);
+    castPlayer.updateCaptionsMenu();
   };
 
-  playerTarget.load = function (mediaIndex) {
-    localPlayer.src = MEDIA_SOURCE_ROOT + this.mediaContents[mediaIndex]['contentUrl'];
-    localPlayer.load();
-  }.bind(this);
+  /**
+   * @param {number} rate Playback rate, 1 is normal speed.
+   */
+  this.setPlaybackRate = function (rate) {
+    this.target.setPlaybackRate(rate);
+    castPlayer.onPlaybackRateChanged(rate);
+  };
+};
 
-  playerTarget.isMediaLoaded = function (mediaIndex) {
-    if (!mediaIndex) {
+/**
+ * Add event listeners to the video element. Called once, the listeners
+ * stay registered while casting.
+ */
+CastPlayer.prototype.addLocalPlayerListeners = function () {
+  var localPlayer = document.getElementById('video_element');
+  localPlayer.addEventListener(
+    'loadeddata', this.onMediaLoadedLocally.bind(this));
+  localPlayer.addEventListener('ended', function () {
+    // Ignore a stale event of media that has been replaced already.
+    if (this.isCasting() || !localPlayer.ended) return;
+    let postRoll = this.localAds && this.localAds.getPostRoll();
+    if (postRoll) {
+      this.playLocalBreak(postRoll,
+        this.streamTimeline.toContentTime(localPlayer.currentTime));
+      return;
+    }
+    this.endPlayback();
+  }.bind(this));
+  localPlayer.addEventListener('error', function () {
+    if (this.isCasting() || !localPlayer.error) return;
+    let message = CastPlayer.getMediaErrorMessage(localPlayer.error);
+    console.log('Local media error: ' + message);
+    this.handleLoadError(localPlayer.error, message,
+      localPlayer.error.code == MediaError.MEDIA_ERR_NETWORK);
+  }.bind(this));
+  localPlayer.addEventListener('waiting', function () {
+    if (this.isCasting() || this.playerState != PLAYER_STATE.PLAYING) return;
+    this.setPlayerState(PLAYER_STATE.BUFFERING, 'local waiting');
+  }.bind(this));
+  localPlayer.addEventListener('playing', function () {
+    if (this.isCasting() || this.playerState != PLAYER_STATE.BUFFERING) return;
+    this.setPlayerState(PLAYER_STATE.PLAYING, 'local playing');
+  }.bind(this));
+  // The live window moves before the time updates that depend on it.
+  ['loadedmetadata', 'progress', 'timeupdate', 'durationchange'].forEach(
+    function (type) {
+      localPlayer.addEventListener(type, this.updateLocalLiveWindow.bind(this));
+    }, this);
+  ['timeupdate', 'seeked', 'durationchange'].forEach(function (type) {
+    localPlayer.addEventListener(type, function () {
+      if (this.isCasting() || !this.isMediaActive()) return;
+      this.onTimeUpdate();
+    }.bind(this));
+  }, this);
+  // Seeks are seen before they complete, so breaks play before the content.
+  ['play', 'seeking', 'timeupdate'].forEach(function (type) {
+    localPlayer.addEventListener(type, this.checkLocalBreaks.bind(this));
+  }, this);
+  localPlayer.addEventListener(
+    'durationchange', this.showLocalAdMarkers.bind(this));
+
+  let adPlayer = document.getElementById('ad_video_element');
+  adPlayer.addEventListener('timeupdate', function () {
+    if (!this.localAdBreak) return;
+    this.onCurrentBreakClipTimeChanged(adPlayer.currentTime, adPlayer.duration);
+  }.bind(this));
+  ['ended', 'error'].forEach(function (type) {
+    adPlayer.addEventListener(type, function () {
+      if (!this.localAdBreak) return;
+      if (type == 'ended') {
+        this.onCurrentBreakClipTimeChanged(adPlayer.currentTime, adPlayer.duration);
+      } else {
+        console.log('Break clip error: ' +
+          CastPlayer.getMediaErrorMessage(adPlayer.error));
+      }
+      this.playNextLocalBreakClip();
+    }.bind(this));
+  }, this);
+  localPlayer.addEventListener('volumechange', function () {
+    if (this.isCasting()) return;
+
+    this.volume = localPlayer.volume;
+    this.muted = localPlayer.muted;
+    this.emit(CAST_PLAYER_EVENT.VOLUME_CHANGE, {
+      volume: localPlayer.volume,
+      muted: localPlayer.muted
+    });
+  }.bind(this));
+};
+
+/**
+ * Set the PlayerHandler target to use the video-element player
+ */
+CastPlayer.prototype.setupLocalPlayer = function () {
+  // Cleanup remote player UI
+  this.isLiveContent = false;
+  this.liveSeekableRange = null;
+  this.liveSection = null;
+  this.updateLiveIndicator();
+  this.loadProgramGuide();
+  this.removeAdMarkers();
+  this.setSkippable(false);
+  this.setQueueStatus('');
+
+  var localPlayer = document.getElementById('video_element');
+  var adPlayer = document.getElementById('ad_video_element');
+
+  // This object will implement PlayerHandler callbacks with localPlayer
+  var playerTarget = {};
+
+  playerTarget.play = function () {
+    document.getElementById('video_image').style.display = 'none';
+    if (this.localAdBreak) {
+      adPlayer.play();
+      return;
+    }
+    localPlayer.play();
+    localPlayer.style.display = 'block';
+  }.bind(this);
+
+  playerTarget.pause = function () {
+    // Show the paused frame of media loaded without playing.
+    document.getElementById('video_image').style.display = 'none';
+    if (this.localAdBreak) {
+      adPlayer.pause();
+      return;
+    }
+    localPlayer.pause();
+    localPlayer.style.display = 'block';
+  }.bind(this);
+
+  playerTarget.stop = function () {
+    localPlayer.stop();
+  };
+
+  playerTarget.load = function (mediaIndex) {
+    // HLS and DASH, which live streams use, only play where the browser
+    // supports them natively.
+    let contentType = this.mediaContents[mediaIndex]['contentType'];
+    if (!localPlayer.canPlayType(contentType)) {
+      localPlayer.removeAttribute('src');
+      localPlayer.load();
+      this.handleLoadError(contentType,
+        'This browser cannot play ' + contentType + ' media.', false);
+      return;
+    }
+    this.loadLocalAds(mediaIndex);
+    // The live window is known once the stream has loaded.
+    this.isLiveContent = this.mediaContents[mediaIndex]['streamType'] == 'LIVE';
+    this.liveSeekableRange = null;
+    this.liveSection = null;
+    this.loadProgramGuide();
+
+    // Replace the <track> elements of the previous media.
+    localPlayer.querySelectorAll('track').forEach(function (track) {
+      track.remove();
+    });
+    let tracks = this.mediaContents[mediaIndex]['tracks'];
+    let crossOrigin = false;
+    tracks.forEach(function (track) {
+      // The video element only renders WebVTT.
+      if (track['contentType'] != 'text/vtt') {
+        console.log('Text track not supported locally: ' + track['name']);
+        return;
+      }
+      let trackElement = document.createElement('track');
+      trackElement.kind = track['subtype'].toLowerCase();
+      trackElement.label = track['name'];
+      trackElement.srclang = track['language'];
+      trackElement.src = track['contentId'];
+      trackElement.dataset.trackId = track['trackId'];
+      localPlayer.appendChild(trackElement);
+      crossOrigin = crossOrigin ||
+        new URL(track['contentId']).origin != window.location.origin;
+    });
+    // Text tracks from other origins are only loaded with CORS.
+    localPlayer.crossOrigin = crossOrigin ? 'anonymous' : null;
+
+    localPlayer.src = this.mediaContents[mediaIndex]['contentUrl'];
+    localPlayer.load();
+    playerTarget.setActiveTracks(this.activeTrackIds);
+    this.updateCaptionsMenu();
+  }.bind(this);
+
+  playerTarget.isMediaLoaded = function (mediaIndex) {
+    if (!mediaIndex || this.isExternalMedia) {
       return (localPlayer.src !== null && localPlayer.src !== "");
     } else {
-      return (localPlayer.src == MEDIA_SOURCE_ROOT + this.mediaContents[mediaIndex]['contentUrl']);
+      return (localPlayer.src == this.mediaContents[mediaIndex]['contentUrl']);
     }
   }.bind(this);
 
   playerTarget.getCurrentMediaTime = function () {
+    if (this.isLiveContent) {
+      return this.liveSection ?
+        localPlayer.currentTime - this.liveSection.startTimeInMedia : null;
+    }
     return localPlayer.currentTime;
-  };
+  }.bind(this);
 
   playerTarget.getMediaDuration = function () {
+    if (this.isLiveContent) {
+      return this.liveSection ? this.liveSection.duration : null;
+    }
     return localPlayer.duration;
-  };
+  }.bind(this);
 
   playerTarget.updateDisplay = function () {
     // playerstate view
@@ -423,16 +1245,18 @@ CastPlayer.prototype.setupLocalPlayer = function () {
     document.getElementById('playerstatebg').style.display = 'none';
     document.getElementById('video_image_overlay').style.display = 'none';
 
-    // media_info view
-    document.getElementById('media_title').innerHTML =
-      castPlayer.mediaContents[castPlayer.currentMediaIndex]['title'];
-    document.getElementById('media_subtitle').innerHTML =
-      castPlayer.mediaContents[castPlayer.currentMediaIndex]['subtitle'];
+    // media_info view, kept for media removed from the catalog
+    if (!castPlayer.isExternalMedia) {
+      document.getElementById('media_title').innerHTML =
+        castPlayer.mediaContents[castPlayer.currentMediaIndex]['title'];
+      document.getElementById('media_subtitle').innerHTML =
+        castPlayer.mediaContents[castPlayer.currentMediaIndex]['subtitle'];
+    }
+
+    castPlayer.updateLiveIndicator();
   };
 
   playerTarget.updateCurrentTimeDisplay = function () {
-    // Increment for local playback
-    this.currentMediaTime += 1;
     this.playerHandler.setTimeString(document.getElementById('currentTime'), this.currentMediaTime);
   }.bind(this);
 
@@ -444,26 +1268,33 @@ CastPlayer.prototype.setupLocalPlayer = function () {
     let currentTimeString = this.getMediaTimeString(time);
     if (currentTimeString !== null) {
       element.style.display = '';
-      element.innerHTML = currentTimeString;
+      // Clock time for live streams with a known start.
+      element.innerHTML = this.isLiveContent && this.liveSection &&
+        this.liveSection.startAbsoluteTime !== null ?
+        this.getClockTimeString(time + this.liveSection.startAbsoluteTime) :
+        currentTimeString;
     } else {
       element.style.display = 'none';
     }
   }.bind(this);
 
-  playerTarget.setVolume = function (volumeSliderPosition) {
-    localPlayer.volume = volumeSliderPosition < FULL_VOLUME_HEIGHT ?
-      volumeSliderPosition / FULL_VOLUME_HEIGHT : 1;
-    var p = document.getElementById('audio_bg_level');
-    p.style.height = volumeSliderPosition + 'px';
-    p.style.marginTop = -volumeSliderPosition + 'px';
+  playerTarget.setVolume = function (volume) {
+    localPlayer.volume = volume;
+    adPlayer.volume = volume;
+  };
+
+  playerTarget.getVolume = function () {
+    return localPlayer.volume;
   };
 
   playerTarget.mute = function () {
     localPlayer.muted = true;
+    adPlayer.muted = true;
   };
 
   playerTarget.unMute = function () {
     localPlayer.muted = false;
+    adPlayer.muted = false;
   };
 
   playerTarget.isMuted = function () {
@@ -471,36 +1302,98 @@ CastPlayer.prototype.setupLocalPlayer = function () {
   };
 
   playerTarget.seekTo = function (time) {
+    // Breaks cannot be seeked.
+    if (this.localAdBreak) return;
     localPlayer.currentTime = time;
+  }.bind(this);
+
+  playerTarget.queueNext = function () {
+    let position = this.queue.currentPosition + 1;
+    this.selectMedia(this.catalog.indexOf(this.queue.items[position]));
+  }.bind(this);
+
+  playerTarget.queuePrevious = function () {
+    let position = this.queue.currentPosition - 1;
+    this.selectMedia(this.catalog.indexOf(this.queue.items[position]));
+  }.bind(this);
+
+  // The local queue is the only queue, nothing to mirror.
+  playerTarget.queueInsert = function () {
+    return true;
+  };
+  playerTarget.queueRemove = function () {
+    return true;
+  };
+  playerTarget.queueReorder = function () {
+    return true;
+  };
+
+  playerTarget.setPlaybackRate = function (rate) {
+    // load() resets playbackRate to defaultPlaybackRate.
+    localPlayer.defaultPlaybackRate = rate;
+    localPlayer.playbackRate = rate;
+  };
+
+  playerTarget.getTextTracks = function () {
+    return Array.from(localPlayer.querySelectorAll('track')).map(function (track) {
+      return {
+        trackId: parseInt(track.dataset.trackId, 10),
+        name: track.label,
+        language: track.srclang
+      };
+    });
+  };
+
+  playerTarget.setActiveTracks = function (trackIds) {
+    localPlayer.querySelectorAll('track').forEach(function (track) {
+      track.track.mode =
+        trackIds.indexOf(parseInt(track.dataset.trackId, 10)) >= 0 ?
+        'showing' : 'disabled';
+    });
   };
 
   this.playerHandler.setTarget(playerTarget);
 
-  this.playerHandler.setVolume(DEFAULT_VOLUME * FULL_VOLUME_HEIGHT);
+  // Continue with the context of the receiver after a Cast session.
+  this.isExternalMedia = false;
+  this.highlightCurrentThumb();
+  let handoff = this.handoffSnapshot;
+  this.handoffSnapshot = null;
+  if (handoff) {
+    this.restoreHandoffSnapshot(handoff);
+  } else {
+    this.playerHandler.setVolume(DEFAULT_VOLUME);
+  }
 
   this.showFullscreenButton();
 
   this.enableProgressBar(true);
+  this.updateCaptionsMenu();
+  this.playerHandler.setPlaybackRate(this.playbackRate);
 
-  if (this.currentMediaTime > 0) {
+  // Between two devices, wait for the next session instead.
+  if (this.deviceSwitchSnapshot) return;
+
+  if ((handoff && handoff.active) || this.resumeLocallyAfterSwitch) {
+    this.resumeLocallyAfterSwitch = false;
+    this.startPaused = !!handoff && handoff.paused;
     this.playerHandler.load();
-    this.playerHandler.play();
   }
 };
 
 /**
- * Set the PlayerHandler target to use the remote player
- * Add event listeners for player changes which may occur outside sender app.
+ * Add event listeners for remote player changes which may occur outside
+ * sender app. The listeners stay registered across Cast sessions.
  */
-CastPlayer.prototype.setupRemotePlayer = function () {
+CastPlayer.prototype.addRemotePlayerListeners = function () {
   // Triggers when the media info or the player state changes
   this.remotePlayerController.addEventListener(
     cast.framework.RemotePlayerEventType.MEDIA_INFO_CHANGED,
     function (event) {
       let session = cast.framework.CastContext.getInstance().getCurrentSession();
       if (!session) {
+        // The local player resets the live state when it takes over.
         this.mediaInfo = null;
-        this.isLiveContent = false;
         this.playerHandler.updateDisplay();
         return;
       }
@@ -509,18 +1402,38 @@ CastPlayer.prototype.setupRemotePlayer = function () {
       if (!media) {
         this.mediaInfo = null;
         this.isLiveContent = false;
+        this.liveSection = null;
+        this.loadProgramGuide();
         this.playerHandler.updateDisplay();
         return;
       }
 
       this.mediaInfo = media.media;
 
+      let previousSection = this.liveSection;
       if (this.mediaInfo) {
         this.isLiveContent = (this.mediaInfo.streamType ==
           chrome.cast.media.StreamType.LIVE);
+        this.liveSection = this.isLiveContent ?
+          CastPlayer.getLiveSection(this.mediaInfo) : null;
+        this.streamTimeline.setBreaks(this.mediaInfo.contentId, this.mediaInfo.breaks);
       } else {
         this.isLiveContent = false;
+        this.liveSection = null;
+      }
+      if (previousSection && this.liveSection &&
+        previousSection.startTimeInMedia != this.liveSection.startTimeInMedia) {
+        this.onLiveSectionChanged(previousSection);
       }
+      this.loadProgramGuide();
+
+      this.syncMediaWithReceiver(media);
+      this.syncQueueWithReceiver(media);
+      this.observeMediaSession(media);
+
+      // Reflect track changes made by this or other senders.
+      this.activeTrackIds = media.activeTrackIds || [];
+      this.updateCaptionsMenu();
 
       if (media.playerState == PLAYER_STATE.PLAYING && this.playerState !== PLAYER_STATE.PLAYING) {
         this.playerHandler.prepareToPlay();
@@ -533,6 +1446,34 @@ CastPlayer.prototype.setupRemotePlayer = function () {
     }.bind(this)
   );
 
+  // Map the reason the receiver went idle to ENDED, ERROR or IDLE.
+  this.remotePlayerController.addEventListener(
+    cast.framework.RemotePlayerEventType.PLAYER_STATE_CHANGED,
+    function (event) {
+      if (!this.isCasting() || event.value != chrome.cast.media.PlayerState.IDLE) {
+        return;
+      }
+      let media = this.getMediaSession();
+      this.onRemoteIdle(media ? media.idleReason : null);
+    }.bind(this)
+  );
+
+  this.remotePlayerController.addEventListener(
+    cast.framework.RemotePlayerEventType.CURRENT_TIME_CHANGED,
+    function () {
+      if (!this.isCasting() || !this.isMediaActive()) return;
+      this.onTimeUpdate();
+    }.bind(this)
+  );
+
+  this.remotePlayerController.addEventListener(
+    cast.framework.RemotePlayerEventType.DURATION_CHANGED,
+    function () {
+      if (!this.isCasting() || !this.isMediaActive()) return;
+      this.onTimeUpdate();
+    }.bind(this)
+  );
+
   this.remotePlayerController.addEventListener(
     cast.framework.RemotePlayerEventType.CAN_SEEK_CHANGED,
     function (event) {
@@ -544,7 +1485,14 @@ CastPlayer.prototype.setupRemotePlayer = function () {
     cast.framework.RemotePlayerEventType.IS_PAUSED_CHANGED,
     function () {
       if (this.remotePlayer.isPaused) {
-        this.playerHandler.pause();
+        if (this.playerState == PLAYER_STATE.IDLE &&
+          this.remotePlayer.isMediaLoaded) {
+          // A resumed session: the receiver is already paused, so only the
+          // state follows.
+          this.setPlayerState(PLAYER_STATE.PAUSED, 'remote session resumed');
+        } else if (this.stateMachine.canTransition(PLAYER_STATE.PAUSED)) {
+          this.playerHandler.pause();
+        }
       } else if (this.playerState !== PLAYER_STATE.PLAYING) {
         // If currently not playing, start to play.
         // This occurs if starting to play from local, but this check is
@@ -557,21 +1505,14 @@ CastPlayer.prototype.setupRemotePlayer = function () {
   this.remotePlayerController.addEventListener(
     cast.framework.RemotePlayerEventType.IS_MUTED_CHANGED,
     function () {
-      if (this.remotePlayer.isMuted) {
-        this.playerHandler.mute();
-      } else {
-        this.playerHandler.unMute();
-      }
+      this.emitRemoteVolume();
     }.bind(this)
   );
 
   this.remotePlayerController.addEventListener(
     cast.framework.RemotePlayerEventType.VOLUME_LEVEL_CHANGED,
     function () {
-      var newVolume = this.remotePlayer.volumeLevel * FULL_VOLUME_HEIGHT;
-      var p = document.getElementById('audio_bg_level');
-      p.style.height = newVolume + 'px';
-      p.style.marginTop = -newVolume + 'px';
+      this.emitRemoteVolume();
     }.bind(this)
   );
 
@@ -608,8 +1549,18 @@ CastPlayer.prototype.setupRemotePlayer = function () {
     function (event) {
       console.log('LIVE_SEEKABLE_RANGE_CHANGED');
       this.liveSeekableRange = event.value;
+      this.updateLiveIndicator();
     }.bind(this)
   );
+};
+
+/**
+ * Set the PlayerHandler target to use the remote player
+ */
+CastPlayer.prototype.setupRemotePlayer = function () {
+  // The receiver plays the breaks of remote media.
+  this.stopLocalBreak();
+  this.localAds = null;
 
   // This object will implement PlayerHandler callbacks with
   // remotePlayerController, and makes necessary UI updates specific
@@ -641,67 +1592,71 @@ CastPlayer.prototype.setupRemotePlayer = function () {
   playerTarget.load = function (mediaIndex) {
     console.log('Loading...' + this.mediaContents[mediaIndex]['title']);
 
-    let mediaInfo = new chrome.cast.media.MediaInfo(MEDIA_SOURCE_ROOT + this.mediaContents[mediaIndex]['contentUrl'], this.mediaContents[mediaIndex]['contentType']);
-    mediaInfo.streamType = chrome.cast.media.StreamType.BUFFERED;
-    mediaInfo.metadata = new chrome.cast.media.TvShowMediaMetadata();
-    mediaInfo.metadata.title = this.mediaContents[mediaIndex]['title'];
-    mediaInfo.metadata.subtitle = this.mediaContents[mediaIndex]['subtitle'];
-    mediaInfo.metadata.images = [{
-      'url': MEDIA_SOURCE_ROOT + this.mediaContents[mediaIndex]['thumb']
-    }];
+    let mediaInfo = this.buildMediaInfo(mediaIndex);
 
     let request = new chrome.cast.media.LoadRequest(mediaInfo);
-    request.currentTime = this.currentMediaTime;
-
-    if (ENABLE_ADS) {
-      // Add sample breaks and breakClips.
-      mediaInfo.breakClips = breakClipsJSON;
-      mediaInfo.breaks = breaksJSON;
-    } else if (ENABLE_LIVE) {
-      // Change the streamType and add live specific metadata.
-      mediaInfo.streamType = chrome.cast.media.StreamType.LIVE;
-      // TODO: Set the metadata on the receiver side in your implementation.
-      // startAbsoluteTime and sectionStartTimeInMedia will be set for you.
-      // See https://developers.google.com/cast/docs/caf_receiver/live.
-
-      // TODO: Start time, is a fake timestamp. Use correct values for your implementation.
-      let currentTime = new Date();
-      // Convert from milliseconds to seconds.
-      currentTime = currentTime / 1000;
-      let sectionStartAbsoluteTime = currentTime;
-
-      // Duration should be -1 for live streams.
-      mediaInfo.duration = -1;
-      // TODO: Set on the receiver for your implementation.
-      mediaInfo.startAbsoluteTime = currentTime;
-      mediaInfo.metadata.sectionStartAbsoluteTime = sectionStartAbsoluteTime;
-      // TODO: Set on the receiver for your implementation.
-      mediaInfo.metadata.sectionStartTimeInMedia = 0;
-      mediaInfo.metadata.sectionDuration = this.mediaContents[mediaIndex]['duration'];
-
-      let item = new chrome.cast.media.QueueItem(mediaInfo);
+    request.playbackRate = this.playbackRate;
+    request.activeTrackIds = this.activeTrackIds.filter(function (trackId) {
+      return (mediaInfo.tracks || []).some(function (track) {
+        return track.trackId == trackId;
+      });
+    });
+
+    // Send the whole queue so that the receiver can advance on its own.
+    if (this.queue.items.length > 0) {
       request.queueData = new chrome.cast.media.QueueData();
-      request.queueData.items = [item];
-      request.queueData.name = "Sample Queue for Live";
+      request.queueData.items = this.queue.items.map(function (id, position) {
+        let item = new chrome.cast.media.QueueItem(
+          position == this.queue.currentPosition ?
+          mediaInfo : this.buildMediaInfo(this.catalog.indexOf(id)));
+        item.autoplay = true;
+        return item;
+      }, this);
+      request.queueData.startIndex = this.queue.currentPosition;
+      request.queueData.repeatMode = chrome.cast.media.RepeatMode.OFF;
     }
 
-    // Do not immediately start playing if the player was previously PAUSED.
-    if (!this.playerStateBeforeSwitch || this.playerStateBeforeSwitch == PLAYER_STATE.PAUSED) {
-      request.autoplay = false;
-    } else {
-      request.autoplay = true;
+    // Media is loaded once the breaks are known.
+    let adsReady = Promise.resolve();
+    if (ENABLE_ADS) {
+      adsReady = this.getAdSchedule(mediaIndex).then(
+        function (schedule) {
+          schedule.applyTo(mediaInfo);
+        },
+        function (error) {
+          console.error('Ad schedule error, playing without ads: ' + error.message);
+        });
     }
 
-    cast.framework.CastContext.getInstance().getCurrentSession().loadMedia(request).then(
-      function () {
-        console.log('Remote media loaded');
-      }.bind(this),
-      function (errorCode) {
-        this.playerState = PLAYER_STATE.IDLE;
-        console.log('Remote media load error: ' +
-          CastPlayer.getErrorMessage(errorCode));
-        this.playerHandler.updateDisplay();
-      }.bind(this));
+    // Do not immediately start playing if the local player was PAUSED.
+    request.autoplay = !this.startPaused;
+    this.startPaused = false;
+
+    adsReady.then(function () {
+      let session = cast.framework.CastContext.getInstance().getCurrentSession();
+      // The session ended or other media was chosen in the meantime.
+      if (!session || mediaIndex != this.currentMediaIndex) return;
+
+      // Continue at the same content time, after the embedded breaks before
+      // it. Live streams start at the live edge.
+      this.streamTimeline.setBreaks(mediaInfo.contentId, mediaInfo.breaks);
+      if (mediaInfo.streamType != chrome.cast.media.StreamType.LIVE) {
+        request.currentTime = this.streamTimeline.toStreamTime(this.currentMediaTime);
+      }
+      session.loadMedia(request).then(
+        function () {
+          console.log('Remote media loaded');
+        }.bind(this),
+        function (errorCode) {
+          let message = CastPlayer.getErrorMessage(errorCode);
+          console.log('Remote media load error: ' + message);
+          let code = CastPlayer.getErrorCode(errorCode);
+          this.handleLoadError(errorCode, message,
+            code == chrome.cast.ErrorCode.TIMEOUT ||
+            code == chrome.cast.ErrorCode.CHANNEL_ERROR);
+          this.playerHandler.updateDisplay();
+        }.bind(this));
+    }.bind(this));
   }.bind(this);
 
   playerTarget.isMediaLoaded = function (mediaIndex) {
@@ -715,8 +1670,11 @@ CastPlayer.prototype.setupRemotePlayer = function () {
       return false;
     }
 
-    // No need to verify local mediaIndex content.
-    return true;
+    // Media of another sender is controlled as it is.
+    if (mediaIndex == null || this.isExternalMedia) {
+      return true;
+    }
+    return this.findCatalogIndex(media.media) == mediaIndex;
   }.bind(this);
 
   /**
@@ -724,9 +1682,8 @@ CastPlayer.prototype.setupRemotePlayer = function () {
    *      media time even if in clock time (conversion done when displaying).
    */
   playerTarget.getCurrentMediaTime = function () {
-    if (this.isLiveContent && this.mediaInfo.metadata &&
-      this.mediaInfo.metadata.sectionStartTimeInMedia) {
-      return this.remotePlayer.currentTime - this.mediaInfo.metadata.sectionStartTimeInMedia;
+    if (this.isLiveContent && this.liveSection) {
+      return this.remotePlayer.currentTime - this.liveSection.startTimeInMedia;
     } else {
       // VOD and live scenerios where live metadata is not provided.
       return this.remotePlayer.currentTime;
@@ -739,14 +1696,8 @@ CastPlayer.prototype.setupRemotePlayer = function () {
    */
   playerTarget.getMediaDuration = function () {
     if (this.isLiveContent) {
-      // Scenerios when live metadata is not provided.
-      if (this.mediaInfo.metadata == undefined ||
-        this.mediaInfo.metadata.sectionDuration == undefined ||
-        this.mediaInfo.metadata.sectionStartTimeInMedia == undefined) {
-        return null;
-      }
-
-      return this.mediaInfo.metadata.sectionDuration;
+      // Null when live metadata is not provided.
+      return this.liveSection ? this.liveSection.duration : null;
     } else {
       return this.remotePlayer.duration;
     }
@@ -788,11 +1739,12 @@ CastPlayer.prototype.setupRemotePlayer = function () {
       }
 
       if (DEMO_MODE) {
+        let isLive = mediaInfo.streamType == chrome.cast.media.StreamType.LIVE;
         document.getElementById('playerstate').innerHTML =
-          (ENABLE_LIVE ? 'Live Content ' : 'Sample Video ') + media.playerState + ' on Chromecast';
+          (isLive ? 'Live Content ' : 'Sample Video ') + media.playerState + ' on Chromecast';
 
         // media_info view
-        document.getElementById('media_title').innerHTML = (ENABLE_LIVE ? 'Live Content' : 'Sample Video');
+        document.getElementById('media_title').innerHTML = (isLive ? 'Live Content' : 'Sample Video');
         document.getElementById('media_subtitle').innerHTML = '';
       } else {
         document.getElementById('playerstate').innerHTML =
@@ -807,20 +1759,8 @@ CastPlayer.prototype.setupRemotePlayer = function () {
       // live information
       if (mediaInfo.streamType == chrome.cast.media.StreamType.LIVE) {
         this.liveSeekableRange = media.liveSeekableRange;
-
-        let live_indicator = document.getElementById('live_indicator');
-        live_indicator.style.display = 'block';
-
-        // Display indicator if current time is close to the end of
-        // the seekable range.
-        if (this.liveSeekableRange && (Math.abs(media.getEstimatedTime() - this.liveSeekableRange.end) < LIVE_INDICATOR_BUFFER)) {
-          live_indicator.src = "imagefiles/live_indicator_active.png";
-        } else {
-          live_indicator.src = "imagefiles/live_indicator_inactive.png";
-        }
-      } else {
-        document.getElementById('live_indicator').style.display = 'none';
       }
+      this.updateLiveIndicator();
     } else {
       // playerstate view
       document.getElementById('playerstate').style.display = 'none';
@@ -834,7 +1774,7 @@ CastPlayer.prototype.setupRemotePlayer = function () {
   }.bind(this);
 
   playerTarget.updateCurrentTimeDisplay = function () {
-    this.playerHandler.setTimeString(document.getElementById('currentTime'), this.playerHandler.getCurrentMediaTime());
+    this.playerHandler.setTimeString(document.getElementById('currentTime'), this.currentMediaTime);
   }.bind(this);
 
   playerTarget.updateDurationDisplay = function () {
@@ -851,9 +1791,9 @@ CastPlayer.prototype.setupRemotePlayer = function () {
       }
 
       // clock time
-      if (this.mediaInfo.metadata && this.mediaInfo.metadata.sectionStartAbsoluteTime !== undefined) {
+      if (this.liveSection && this.liveSection.startAbsoluteTime !== null) {
         element.style.display = 'flex';
-        element.innerHTML = this.getClockTimeString(time + this.mediaInfo.metadata.sectionStartAbsoluteTime);
+        element.innerHTML = this.getClockTimeString(time + this.liveSection.startAbsoluteTime);
       } else {
         // media time
         element.style.display = 'flex';
@@ -869,20 +1809,15 @@ CastPlayer.prototype.setupRemotePlayer = function () {
     }
   }.bind(this);
 
-  playerTarget.setVolume = function (volumeSliderPosition) {
-    var currentVolume = this.remotePlayer.volumeLevel;
-    var p = document.getElementById('audio_bg_level');
-    if (volumeSliderPosition < FULL_VOLUME_HEIGHT) {
-      p.style.height = volumeSliderPosition + 'px';
-      p.style.marginTop = -volumeSliderPosition + 'px';
-      currentVolume = volumeSliderPosition / FULL_VOLUME_HEIGHT;
-    } else {
-      currentVolume = 1;
-    }
-    this.remotePlayer.volumeLevel = currentVolume;
+  playerTarget.setVolume = function (volume) {
+    this.remotePlayer.volumeLevel = volume;
     this.remotePlayerController.setVolumeLevel();
   }.bind(this);
 
+  playerTarget.getVolume = function () {
+    return this.remotePlayer.volumeLevel;
+  }.bind(this);
+
   playerTarget.mute = function () {
     if (!this.remotePlayer.isMuted) {
       this.remotePlayerController.muteOrUnmute();
@@ -904,29 +1839,139 @@ CastPlayer.prototype.setupRemotePlayer = function () {
     this.remotePlayerController.seek();
   }.bind(this);
 
+  playerTarget.queueNext = function () {
+    let media = this.getMediaSession();
+    if (!media) return;
+    media.queueNext(function () {}, function (errorCode) {
+      console.log('Queue next error: ' + CastPlayer.getErrorMessage(errorCode));
+    });
+  }.bind(this);
+
+  playerTarget.queuePrevious = function () {
+    let media = this.getMediaSession();
+    if (!media) return;
+    media.queuePrev(function () {}, function (errorCode) {
+      console.log('Queue previous error: ' + CastPlayer.getErrorMessage(errorCode));
+    });
+  }.bind(this);
+
+  // Without media, the queue is sent with the next load.
+  playerTarget.queueInsert = function (id, position) {
+    let media = this.getMediaSession();
+    if (!media) return true;
+    if (!this.isReceiverQueueInSync(media)) return false;
+
+    let item = new chrome.cast.media.QueueItem(
+      this.buildMediaInfo(this.catalog.indexOf(id)));
+    item.autoplay = true;
+    let request = new chrome.cast.media.QueueInsertItemsRequest([item]);
+    if (position < media.items.length) {
+      request.insertBefore = media.items[position].itemId;
+    }
+    media.queueInsertItems(request, function () {}, function (errorCode) {
+      console.log('Queue insert error: ' + CastPlayer.getErrorMessage(errorCode));
+    });
+    return true;
+  }.bind(this);
+
+  playerTarget.queueRemove = function (position) {
+    let media = this.getMediaSession();
+    if (!media) return true;
+    if (!this.isReceiverQueueInSync(media)) return false;
+
+    media.queueRemoveItem(media.items[position].itemId, function () {},
+      function (errorCode) {
+        console.log('Queue remove error: ' + CastPlayer.getErrorMessage(errorCode));
+      });
+    return true;
+  }.bind(this);
+
+  playerTarget.setPlaybackRate = function (rate) {
+    let session = cast.framework.CastContext.getInstance().getCurrentSession();
+    let media = this.getMediaSession();
+    if (!session || !media) return;
+
+    // chrome.cast.media.Media has no playback rate method, unlike the
+    // Android and iOS senders, so the command goes to the media channel
+    // directly. Its requestId must not be one the SDK is waiting on.
+    session.sendMessage(MEDIA_NAMESPACE, {
+      'type': 'SET_PLAYBACK_RATE',
+      'requestId': this.nextMediaRequestId++,
+      'mediaSessionId': media.mediaSessionId,
+      'playbackRate': rate
+    }).catch(function (errorCode) {
+      console.log('Playback rate error: ' + CastPlayer.getErrorMessage(errorCode));
+    });
+  }.bind(this);
+
+  playerTarget.getTextTracks = function () {
+    let media = this.getMediaSession();
+    if (!media || !media.media || !media.media.tracks) return [];
+
+    return media.media.tracks.filter(function (track) {
+      return track.type == chrome.cast.media.TrackType.TEXT;
+    }).map(function (track) {
+      return {
+        trackId: track.trackId,
+        name: track.name || track.language || 'Track ' + track.trackId,
+        language: track.language || ''
+      };
+    });
+  }.bind(this);
+
+  playerTarget.setActiveTracks = function (trackIds) {
+    let media = this.getMediaSession();
+    if (!media) return;
+
+    // Keep the active non-text tracks, e.g. the audio track.
+    let textTrackIds = playerTarget.getTextTracks().map(function (track) {
+      return track.trackId;
+    });
+    let activeTrackIds = (media.activeTrackIds || []).filter(function (trackId) {
+      return textTrackIds.indexOf(trackId) < 0;
+    }).concat(trackIds);
+
+    let request = new chrome.cast.media.EditTracksInfoRequest(activeTrackIds);
+    media.editTracksInfo(request, function () {}, function (errorCode) {
+      console.log('Edit tracks error: ' + CastPlayer.getErrorMessage(errorCode));
+    });
+  }.bind(this);
+
+  playerTarget.queueReorder = function (from, to) {
+    let media = this.getMediaSession();
+    if (!media) return true;
+    if (!this.isReceiverQueueInSync(media)) return false;
+
+    let itemIds = media.items.map(function (item) {
+      return item.itemId;
+    });
+    itemIds.splice(to, 0, itemIds.splice(from, 1)[0]);
+    let request = new chrome.cast.media.QueueReorderItemsRequest(itemIds);
+    media.queueReorderItems(request, function () {}, function (errorCode) {
+      console.log('Queue reorder error: ' + CastPlayer.getErrorMessage(errorCode));
+    });
+    return true;
+  }.bind(this);
+
   this.playerHandler.setTarget(playerTarget);
 
   // Setup remote player properties on setup
-  if (this.remotePlayer.isMuted) {
-    this.playerHandler.mute();
-  }
   this.enableProgressBar(this.remotePlayer.canSeek);
   // The remote player may have had a volume set from previous playback
-  var currentVolume = this.remotePlayer.volumeLevel * FULL_VOLUME_HEIGHT;
-  var p = document.getElementById('audio_bg_level');
-  p.style.height = currentVolume + 'px';
-  p.style.marginTop = -currentVolume + 'px';
+  this.emitRemoteVolume();
 
   // Show media_control
   document.getElementById('media_control').style.opacity = 0.7;
 
   this.hideFullscreenButton();
+  this.updateCaptionsMenu();
 
   // If resuming a session, take the remote properties and continue the existing
   // playback. Otherwise, load local content.
   if (cast.framework.CastContext.getInstance().getCurrentSession().getSessionState() ==
     cast.framework.SessionState.SESSION_RESUMED) {
     console.log('Resuming session');
+    this.syncMediaWithReceiver(this.getMediaSession());
     this.playerHandler.prepareToPlay();
 
     // New media has been loaded so the previous ad markers should
@@ -934,248 +1979,1346 @@ CastPlayer.prototype.setupRemotePlayer = function () {
     this.removeAdMarkers();
     this.updateAdMarkers();
   } else {
+    // Continue with the context of the local player.
+    let handoff = this.handoffSnapshot;
+    if (handoff) {
+      this.restoreHandoffSnapshot(handoff);
+      this.startPaused = handoff.paused;
+    }
     this.playerHandler.load();
   }
+  this.handoffSnapshot = null;
 };
 
 /**
- * Callback when media is loaded in local player
+ * @return {?chrome.cast.media.Media} Media session of the current Cast
+ *     session, null if not casting or nothing is loaded.
  */
-CastPlayer.prototype.onMediaLoadedLocally = function () {
-  var localPlayer = document.getElementById('video_element');
-  localPlayer.currentTime = this.currentMediaTime;
-
-  this.playerHandler.prepareToPlay();
+CastPlayer.prototype.getMediaSession = function () {
+  let session = cast.framework.CastContext.getInstance().getCurrentSession();
+  return session ? session.getMediaSession() : null;
 };
 
 /**
- * Select a media content
  * @param {number} mediaIndex A number for media index
+ * @return {!chrome.cast.media.MediaInfo} MediaInfo for a catalog entry.
  */
-CastPlayer.prototype.selectMedia = function (mediaIndex) {
-  console.log('Media index selected: ' + mediaIndex);
-
-  this.currentMediaIndex = mediaIndex;
-  // Clear currentMediaInfo when playing content from the sender.
-  this.playerHandler.currentMediaInfo = undefined;
-
-  // Set video image
-  var vi = document.getElementById('video_image');
-  vi.src = MEDIA_SOURCE_ROOT + this.mediaContents[mediaIndex]['thumb'];
-
-  // Reset progress bar
-  var pi = document.getElementById('progress_indicator');
-  pi.style.marginLeft = '0px';
-  var progress = document.getElementById('progress');
-  progress.style.width = '0px';
-
-  let seekable_window = document.getElementById('seekable_window');
-  let unseekable_overlay = document.getElementById('unseekable_overlay');
-  seekable_window.style.width = PROGRESS_BAR_WIDTH;
-  unseekable_overlay.style.width = '0px';
-
-  // Stop timer and reset time displays
-  this.stopProgressTimer();
-  this.currentMediaTime = 0;
-  this.playerHandler.setTimeString(document.getElementById('currentTime'), 0);
-  this.playerHandler.setTimeString(document.getElementById('duration'), 0);
+CastPlayer.prototype.buildMediaInfo = function (mediaIndex) {
+  let mediaInfo = new chrome.cast.media.MediaInfo(this.mediaContents[mediaIndex]['contentUrl'], this.mediaContents[mediaIndex]['contentType']);
+  mediaInfo.streamType = chrome.cast.media.StreamType.BUFFERED;
+  mediaInfo.metadata = new chrome.cast.media.TvShowMediaMetadata();
+  mediaInfo.metadata.title = this.mediaContents[mediaIndex]['title'];
+  mediaInfo.metadata.subtitle = this.mediaContents[mediaIndex]['subtitle'];
+  mediaInfo.metadata.images = [{
+    'url': this.mediaContents[mediaIndex]['thumb']
+  }];
+  // Lets resumed sessions and other senders find the catalog entry.
+  mediaInfo.customData = { 'catalogId': this.mediaContents[mediaIndex]['id'] };
+
+  if (this.mediaContents[mediaIndex]['streamType'] == 'LIVE') {
+    mediaInfo.streamType = chrome.cast.media.StreamType.LIVE;
+    // Duration should be -1 for live streams. The receiver sets
+    // startAbsoluteTime and the section metadata from the stream.
+    mediaInfo.duration = -1;
+    let program = new ProgramGuide(this.mediaContents[mediaIndex]['programs'])
+      .getProgramAt(Date.now() / 1000);
+    if (program) {
+      mediaInfo.metadata.episodeTitle = program['title'];
+    }
+  }
 
-  this.playerState = PLAYER_STATE.IDLE;
-  this.playerHandler.play();
+  mediaInfo.tracks = this.mediaContents[mediaIndex]['tracks'].map(function (entryTrack) {
+    let track = new chrome.cast.media.Track(entryTrack['trackId'],
+      chrome.cast.media.TrackType.TEXT);
+    track.trackContentId = entryTrack['contentId'];
+    track.trackContentType = entryTrack['contentType'];
+    track.subtype = chrome.cast.media.TextTrackType[entryTrack['subtype']];
+    track.name = entryTrack['name'];
+    track.language = entryTrack['language'];
+    return track;
+  });
+  if (mediaInfo.tracks.length > 0) {
+    mediaInfo.textTrackStyle = new chrome.cast.media.TextTrackStyle();
+  }
+  return mediaInfo;
 };
 
 /**
- * Media seek function
- * @param {Event} event An event object from seek
+ * Get the ad schedule of a catalog entry: its own schedule if it has one,
+ * the sample schedule of ads.js otherwise. Invalid breaks are reported and
+ * left out.
+ * @param {number} mediaIndex
+ * @return {!Promise<!AdSchedule>} Rejects if the schedule cannot be loaded
+ *     or parsed.
  */
-CastPlayer.prototype.seekMedia = function (event) {
-  if (this.mediaDuration == null || (cast.framework.CastContext.getInstance().getCurrentSession() && !this.remotePlayer.canSeek)) {
-    console.log('Error - Not seekable');
-    return;
+CastPlayer.prototype.getAdSchedule = function (mediaIndex) {
+  let entry = this.mediaContents[mediaIndex];
+  let id = entry['id'];
+  if (this.adSchedules[id]) {
+    return this.adSchedules[id];
   }
 
-  if (this.isLiveContent && !this.liveSeekableRange) {
-    console.log('Live content has no seekable range.')
-    return;
-  }
+  let schedule = new AdSchedule(entry['duration']);
+  let loading = entry['adSchedule'] ?
+    schedule.load(entry['adSchedule']) :
+    new Promise(function (resolve) {
+      resolve(schedule.parse({ 'breakClips': breakClipsJSON, 'breaks': breaksJSON }));
+    });
+  this.adSchedules[id] = loading.then(
+    function (schedule) {
+      schedule.errors.forEach(function (error) {
+        console.warn('Ad schedule of ' + entry['title'] + ': ' +
+          (error.id ? error.id + ' skipped: ' : '') + error.reason);
+      });
+      return schedule;
+    },
+    function (error) {
+      // Try again the next time the title is played.
+      delete this.adSchedules[id];
+      throw error;
+    }.bind(this));
+  return this.adSchedules[id];
+};
 
-  var position = parseInt(event.offsetX, 10);
-  var pi = document.getElementById('progress_indicator');
-  var progress = document.getElementById('progress');
-  let seekTime = 0;
-  let pp = 0;
-  let pw = 0;
-  if (event.currentTarget.id == 'progress_indicator') {
-    seekTime = parseInt(this.currentMediaTime + this.mediaDuration * position /
-      PROGRESS_BAR_WIDTH, 10);
-    pp = parseInt(pi.style.marginLeft, 10) + position;
-    pw = parseInt(progress.style.width, 10) + position;
-  } else {
-    seekTime = parseInt(position * this.mediaDuration / PROGRESS_BAR_WIDTH, 10);
-    pp = position;
-    pw = position;
-  }
+/**
+ * Find the catalog entry of media loaded on the receiver, by the catalog id
+ * this sender adds to customData, by entity or by content URL.
+ * @param {?chrome.cast.media.MediaInfo} mediaInfo
+ * @return {number} Media index, -1 if the media is not in the catalog.
+ */
+CastPlayer.prototype.findCatalogIndex = function (mediaInfo) {
+  if (!mediaInfo) return -1;
 
-  if (this.playerState === PLAYER_STATE.PLAYING ||
-    this.playerState === PLAYER_STATE.PAUSED) {
-    this.currentMediaTime = seekTime;
-    progress.style.width = pw + 'px';
-    pi.style.marginLeft = pp + 'px';
+  let customData = mediaInfo.customData || {};
+  let index = this.catalog.indexOf(customData['catalogId']);
+  if (index < 0 && mediaInfo.entity) {
+    index = this.catalog.indexOf(mediaInfo.entity);
   }
-
-  if (this.isLiveContent) {
-    seekTime += this.mediaInfo.metadata.sectionStartTimeInMedia;
+  if (index < 0) {
+    let contentUrl = mediaInfo.contentUrl || mediaInfo.contentId;
+    index = this.mediaContents.findIndex(function (entry) {
+      return entry['contentUrl'] == contentUrl;
+    });
   }
-
-  this.playerHandler.seekTo(seekTime);
+  return index;
 };
 
 /**
- * Set current player volume
- * @param {Event} mouseEvent
+ * Make the media playing on the receiver the current media. Media of another
+ * sender that is not in the catalog is marked external.
+ * @param {?chrome.cast.media.Media} media
  */
-CastPlayer.prototype.setVolume = function (mouseEvent) {
-  var p = document.getElementById('audio_bg_level');
-  var pos = 0;
-  if (mouseEvent.currentTarget.id === 'audio_bg_track') {
-    pos = FULL_VOLUME_HEIGHT - parseInt(mouseEvent.offsetY, 10);
+CastPlayer.prototype.syncMediaWithReceiver = function (media) {
+  if (!media || !media.media) return;
+
+  let mediaIndex = this.findCatalogIndex(media.media);
+  let external = mediaIndex < 0;
+  let changed = external != this.isExternalMedia ||
+    (!external && mediaIndex != this.currentMediaIndex);
+  this.isExternalMedia = external;
+  if (!changed) return;
+
+  if (external) {
+    console.log('Receiver plays media outside the catalog: ' +
+      (media.media.contentUrl || media.media.contentId));
   } else {
-    pos = parseInt(p.clientHeight, 10) - parseInt(mouseEvent.offsetY, 10);
+    this.currentMediaIndex = mediaIndex;
+    let id = this.mediaContents[mediaIndex]['id'];
+    if (this.queue.indexOf(id) < 0) {
+      this.queue.insert(id, this.queue.currentPosition + 1);
+    }
+    this.queue.currentPosition = this.queue.indexOf(id);
+    this.renderQueue();
   }
-  this.playerHandler.setVolume(pos);
+  this.emit(CAST_PLAYER_EVENT.MEDIA_CHANGE, {
+    mediaIndex: external ? -1 : mediaIndex,
+    media: external ? { 'title': media.media.metadata &&
+      media.media.metadata.title || '' } : this.mediaContents[mediaIndex]
+  });
+  // Title, subtitle and image of the new media.
+  this.playerHandler.updateDisplay();
 };
 
 /**
- * Starts the timer to increment the media progress bar
+ * Mark the carousel entry of the current media.
  */
-CastPlayer.prototype.startProgressTimer = function () {
-  this.stopProgressTimer();
+CastPlayer.prototype.highlightCurrentThumb = function () {
+  document.querySelectorAll('#carousel .thumb').forEach(function (thumb, index) {
+    let current = !this.isExternalMedia && index == this.currentMediaIndex;
+    thumb.classList.toggle('thumb_current', current);
+    if (current) {
+      thumb.setAttribute('aria-current', 'true');
+    } else {
+      thumb.removeAttribute('aria-current');
+    }
+  }, this);
+};
 
-  // Start progress timer
-  this.timer = setInterval(this.incrementMediaTimeHandler, TIMER_STEP);
+/**
+ * @param {!chrome.cast.media.Media} media
+ * @return {boolean} Whether the receiver queue mirrors the local queue, so
+ *     that edits can be applied to both. Another sender may have changed it.
+ */
+CastPlayer.prototype.isReceiverQueueInSync = function (media) {
+  return !!media.items && media.items.length == this.queue.items.length;
 };
 
 /**
- * Stops the timer to increment the media progress bar
+ * Update the current queue position from the receiver, which advances
+ * through the queue on its own.
+ * @param {!chrome.cast.media.Media} media
  */
-CastPlayer.prototype.stopProgressTimer = function () {
-  if (this.timer) {
-    clearInterval(this.timer);
-    this.timer = null;
+CastPlayer.prototype.syncQueueWithReceiver = function (media) {
+  if (!this.isReceiverQueueInSync(media)) {
+    this.setQueueStatus('The queue on the receiver was changed elsewhere. ' +
+      'It can be edited again once media is chosen here.');
+    return;
+  }
+  this.setQueueStatus('');
+  if (media.currentItemId == null) return;
+
+  let position = media.items.findIndex(function (item) {
+    return item.itemId == media.currentItemId;
+  });
+  if (position >= 0 && position != this.queue.currentPosition) {
+    this.queue.currentPosition = position;
+    this.currentMediaIndex = this.catalog.indexOf(this.queue.current());
+    this.renderQueue();
+    this.emit(CAST_PLAYER_EVENT.MEDIA_CHANGE, {
+      mediaIndex: this.currentMediaIndex,
+      media: this.mediaContents[this.currentMediaIndex]
+    });
   }
 };
 
 /**
- * Increment media current time depending on remote or local playback
+ * Add a catalog entry to the end of the queue.
+ * @param {number} mediaIndex A number for media index
  */
-CastPlayer.prototype.incrementMediaTime = function () {
-  // First sync with the current player's time
-  this.currentMediaTime = this.playerHandler.getCurrentMediaTime();
-  this.mediaDuration = this.playerHandler.getMediaDuration();
+CastPlayer.prototype.addToQueue = function (mediaIndex) {
+  let id = this.mediaContents[mediaIndex]['id'];
+  if (this.queue.indexOf(id) >= 0) return;
 
-  this.playerHandler.updateDurationDisplay();
+  if (!this.playerHandler.queueInsert(id, this.queue.items.length)) return;
+  this.queue.insert(id);
+  this.renderQueue();
+};
 
-  if (this.mediaDuration == null || this.currentMediaTime < this.mediaDuration || this.isLiveContent) {
-    this.playerHandler.updateCurrentTimeDisplay();
-    this.updateProgressBarByTimer();
-  } else if (this.mediaDuration > 0) {
-    this.endPlayback();
-  }
+/**
+ * Remove an entry from the queue. The current entry cannot be removed.
+ * @param {number} position Position in the queue.
+ */
+CastPlayer.prototype.removeFromQueue = function (position) {
+  if (position == this.queue.currentPosition) return;
+
+  if (!this.playerHandler.queueRemove(position)) return;
+  this.queue.remove(position);
+  this.renderQueue();
 };
 
 /**
- * Update progress bar and currentTime based on timer
+ * Move an entry within the queue.
+ * @param {number} from Position in the queue.
+ * @param {number} to New position in the queue.
  */
-CastPlayer.prototype.updateProgressBarByTimer = function () {
-  var progressBar = document.getElementById('progress');
-  var pi = document.getElementById('progress_indicator');
+CastPlayer.prototype.moveQueueItem = function (from, to) {
+  if (to < 0 || to >= this.queue.items.length) return;
 
-  // Live situation where the progress and duration is unknown.
-  if (this.mediaDuration == null) {
-    if (!this.isLiveContent) {
-      console.log('Error - Duration is not defined for a VOD stream.');
-    }
+  if (!this.playerHandler.queueReorder(from, to)) return;
+  this.queue.move(from, to);
+  this.renderQueue();
+};
 
-    progressBar.style.width = '0px';
-    document.getElementById('skip').style.display = 'none';
-    pi.style.display = 'none';
+/**
+ * Show why the queue cannot be edited, or clear the message.
+ * @param {string} message
+ */
+CastPlayer.prototype.setQueueStatus = function (message) {
+  document.getElementById('queue_status').textContent = message;
+};
+
+/**
+ * Play the next entry of the queue.
+ */
+CastPlayer.prototype.playNext = function () {
+  if (!this.queue.hasNext()) return;
+  this.playerHandler.queueNext();
+};
+
+/**
+ * Play the previous entry of the queue.
+ */
+CastPlayer.prototype.playPrevious = function () {
+  if (!this.queue.hasPrevious()) return;
+  this.playerHandler.queuePrevious();
+};
 
-    let seekable_window = document.getElementById('seekable_window');
-    let unseekable_overlay = document.getElementById('unseekable_overlay');
-    seekable_window.style.width = '0px';
-    unseekable_overlay.style.width = '0px';
+/**
+ * Redraw the queue panel and the next/previous buttons.
+ */
+CastPlayer.prototype.renderQueue = function () {
+  let list = document.getElementById('queue_list');
+  list.innerHTML = '';
+
+  this.queue.items.forEach(function (id, position) {
+    let mediaIndex = this.catalog.indexOf(id);
+    if (mediaIndex < 0) return;
+
+    let item = document.createElement('li');
+    item.className = 'queue_item' +
+      (position == this.queue.currentPosition ? ' queue_current' : '');
+
+    let title = document.createElement('span');
+    title.className = 'queue_title';
+    title.setAttribute('role', 'button');
+    title.tabIndex = 0;
+    title.textContent = this.mediaContents[mediaIndex]['title'];
+    title.addEventListener('click', this.selectMedia.bind(this, mediaIndex));
+    item.appendChild(title);
+
+    [
+      ['\u25B2', 'Move up', this.moveQueueItem.bind(this, position, position - 1)],
+      ['\u25BC', 'Move down', this.moveQueueItem.bind(this, position, position + 1)],
+      ['\u2715', 'Remove', this.removeFromQueue.bind(this, position)]
+    ].forEach(function (action) {
+      if (action[1] == 'Remove' && position == this.queue.currentPosition) {
+        return;
+      }
+      let button = document.createElement('span');
+      button.className = 'queue_action';
+      button.setAttribute('role', 'button');
+      button.setAttribute('aria-label', action[1] + ' ' +
+        this.mediaContents[mediaIndex]['title']);
+      button.tabIndex = 0;
+      button.title = action[1];
+      button.textContent = action[0];
+      button.addEventListener('click', action[2]);
+      item.appendChild(button);
+    }, this);
+
+    list.appendChild(item);
+  }, this);
+
+  document.getElementById('queue_panel').style.display =
+    this.queue.items.length > 0 ? 'block' : 'none';
+  document.getElementById('previous').style.opacity =
+    this.queue.hasPrevious() ? 1 : 0.3;
+  document.getElementById('next').style.opacity =
+    this.queue.hasNext() ? 1 : 0.3;
+};
+
+/**
+ * Show the captions button if the loaded media has text tracks and redraw
+ * the captions menu.
+ */
+CastPlayer.prototype.updateCaptionsMenu = function () {
+  let tracks = this.playerHandler.getTextTracks();
+  let menu = document.getElementById('captions_menu');
+  menu.innerHTML = '';
+
+  document.getElementById('captions').style.display =
+    tracks.length > 0 ? 'block' : 'none';
+  this.layoutControls();
+  if (tracks.length == 0) {
+    menu.style.display = 'none';
     return;
+  }
+
+  [{ trackId: null, name: 'Off' }].concat(tracks).forEach(function (track) {
+    let option = document.createElement('div');
+    let selected = track.trackId === null ?
+      !tracks.some(function (t) {
+        return this.activeTrackIds.indexOf(t.trackId) >= 0;
+      }, this) :
+      this.activeTrackIds.indexOf(track.trackId) >= 0;
+    option.className = 'menu_option' + (selected ? ' menu_selected' : '');
+    option.setAttribute('role', 'menuitemradio');
+    option.setAttribute('aria-checked', selected);
+    option.tabIndex = 0;
+    option.textContent = track.name;
+    option.addEventListener('click', function () {
+      this.playerHandler.setActiveTracks(
+        track.trackId === null ? [] : [track.trackId]);
+      menu.style.display = 'none';
+    }.bind(this));
+    menu.appendChild(option);
+  }, this);
+};
+
+/**
+ * Open or close the captions menu
+ */
+CastPlayer.prototype.toggleCaptionsMenu = function () {
+  let menu = document.getElementById('captions_menu');
+  let open = menu.style.display != 'block';
+  menu.style.display = open ? 'block' : 'none';
+  document.getElementById('captions').setAttribute('aria-expanded', open);
+};
+
+/**
+ * Update the player state when the receiver becomes idle.
+ * @param {?chrome.cast.media.IdleReason} idleReason
+ */
+CastPlayer.prototype.onRemoteIdle = function (idleReason) {
+  switch (idleReason) {
+    case chrome.cast.media.IdleReason.FINISHED:
+      this.endPlayback();
+      break;
+    case chrome.cast.media.IdleReason.ERROR:
+      this.stopProgressTimer();
+      this.handleLoadError(idleReason,
+        'The receiver could not play the media.', false);
+      break;
+    case chrome.cast.media.IdleReason.INTERRUPTED:
+      // Another load replaced the media, the new media will update the state.
+      break;
+    case chrome.cast.media.IdleReason.CANCELLED:
+    default:
+      this.stopProgressTimer();
+      this.setPlayerState(PLAYER_STATE.IDLE, 'remote ' + idleReason);
+      break;
+  }
+};
+
+/**
+ * Handle a failed load or playback of the current media. Transient errors
+ * are retried automatically with an increasing delay. If the receiver fails
+ * for good, playback falls back to the local player. Otherwise, the error is
+ * shown with a retry button.
+ * @param {*} error chrome.cast.Error, chrome.cast.media.IdleReason, MediaError
+ *     or a content type the local player cannot play
+ * @param {string} message Human-readable error message.
+ * @param {boolean} transient Whether retrying may succeed.
+ */
+CastPlayer.prototype.handleLoadError = function (error, message, transient) {
+  this.setPlayerState(PLAYER_STATE.ERROR, message);
+  this.emit(CAST_PLAYER_EVENT.ERROR, { error: error, message: message });
+  this.cancelLoadRetry();
+
+  let delay = transient ? this.loadRetry.nextDelay() : null;
+  if (delay != null) {
+    this.showErrorOverlay(message + ' Retrying in ' + delay / 1000 + ' seconds.');
+    this.loadRetryTimer = setTimeout(this.retryLoad.bind(this), delay);
+  } else if (this.isCasting()) {
+    this.showErrorOverlay(message + ' Playing on this device instead.');
+    this.resumeLocallyAfterSwitch = true;
+    cast.framework.CastContext.getInstance().endCurrentSession(true);
   } else {
-    pi.style.display = '';
+    this.showErrorOverlay(message);
+  }
+};
+
+/**
+ * Load the current media again.
+ */
+CastPlayer.prototype.retryLoad = function () {
+  this.cancelLoadRetry();
+  this.hideErrorOverlay();
+  this.playerHandler.load();
+};
+
+/**
+ * Cancel a pending automatic retry.
+ */
+CastPlayer.prototype.cancelLoadRetry = function () {
+  if (this.loadRetryTimer) {
+    clearTimeout(this.loadRetryTimer);
+    this.loadRetryTimer = null;
+  }
+};
+
+/**
+ * Show the error overlay on top of the video.
+ * @param {string} message
+ */
+CastPlayer.prototype.showErrorOverlay = function (message) {
+  document.getElementById('error_message').textContent = message;
+  document.getElementById('error_overlay').style.display = 'block';
+};
+
+/**
+ * Hide the error overlay.
+ */
+CastPlayer.prototype.hideErrorOverlay = function () {
+  document.getElementById('error_overlay').style.display = 'none';
+};
+
+/**
+ * Listen to updates of a remote media session, replacing the previously
+ * observed one.
+ * @param {?chrome.cast.media.Media} media
+ */
+CastPlayer.prototype.observeMediaSession = function (media) {
+  if (media == this.observedMediaSession) return;
+
+  if (this.observedMediaSession) {
+    this.observedMediaSession.removeUpdateListener(this.mediaSessionUpdateListener);
+  }
+  this.observedMediaSession = media;
+  if (media) {
+    media.addUpdateListener(this.mediaSessionUpdateListener);
+    this.onMediaSessionUpdate(true);
+  }
+};
+
+/**
+ * Reflect changes of the remote media session made by this or other senders.
+ * @param {boolean} isAlive False once the media session has ended.
+ */
+CastPlayer.prototype.onMediaSessionUpdate = function (isAlive) {
+  let media = this.observedMediaSession;
+  if (!isAlive || !media) return;
+
+  if (media.playbackRate && media.playbackRate != this.playbackRate) {
+    this.onPlaybackRateChanged(media.playbackRate);
+  }
+};
+
+/**
+ * Keep the playback rate and the speed selector in sync.
+ * @param {number} rate
+ */
+CastPlayer.prototype.onPlaybackRateChanged = function (rate) {
+  let changed = rate != this.playbackRate;
+  // Interpolate from here on with the new rate.
+  this.syncProgress(this.currentMediaTime);
+  this.playbackRate = rate;
+  this.updatePlaybackRateMenu();
+  if (changed) {
+    this.emit(CAST_PLAYER_EVENT.RATE_CHANGE, { playbackRate: rate });
+  }
+};
+
+/**
+ * Redraw the speed selector.
+ */
+CastPlayer.prototype.updatePlaybackRateMenu = function () {
+  document.getElementById('playback_rate').textContent = this.playbackRate + 'x';
+
+  let menu = document.getElementById('playback_rate_menu');
+  menu.innerHTML = '';
+  PLAYBACK_RATES.forEach(function (rate) {
+    let option = document.createElement('div');
+    option.className = 'menu_option' +
+      (rate == this.playbackRate ? ' menu_selected' : '');
+    option.setAttribute('role', 'menuitemradio');
+    option.setAttribute('aria-checked', rate == this.playbackRate);
+    option.tabIndex = 0;
+    option.textContent = rate + 'x';
+    option.addEventListener('click', function () {
+      this.playerHandler.setPlaybackRate(rate);
+      menu.style.display = 'none';
+    }.bind(this));
+    menu.appendChild(option);
+  }, this);
+};
+
+/**
+ * Open or close the speed selector
+ */
+CastPlayer.prototype.togglePlaybackRateMenu = function () {
+  let menu = document.getElementById('playback_rate_menu');
+  let open = menu.style.display != 'block';
+  menu.style.display = open ? 'block' : 'none';
+  document.getElementById('playback_rate').setAttribute('aria-expanded', open);
+};
+
+/**
+ * Notify the subscribers of the remote volume and mute state.
+ */
+CastPlayer.prototype.emitRemoteVolume = function () {
+  // The remote player resets its properties when the session ends.
+  if (!this.isCasting()) return;
+
+  this.volume = this.remotePlayer.volumeLevel;
+  this.muted = this.remotePlayer.isMuted;
+  this.emit(CAST_PLAYER_EVENT.VOLUME_CHANGE, {
+    volume: this.remotePlayer.volumeLevel,
+    muted: this.remotePlayer.isMuted
+  });
+};
+
+/**
+ * Callback when media is loaded in local player
+ */
+CastPlayer.prototype.onMediaLoadedLocally = function () {
+  var localPlayer = document.getElementById('video_element');
+  // Live streams start at the live edge.
+  if (!this.isLiveContent) {
+    localPlayer.currentTime = this.streamTimeline.toStreamTime(this.currentMediaTime);
   }
 
-  if (isNaN(parseInt(progressBar.style.width, 10))) {
-    progressBar.style.width = '0px';
+  this.playerHandler.prepareToPlay();
+};
+
+/**
+ * @return {number} Index of the first live entry of the catalog, -1 if
+ *     there is none.
+ */
+CastPlayer.prototype.findLiveMediaIndex = function () {
+  return this.mediaContents.findIndex(function (entry) {
+    return entry['streamType'] == 'LIVE';
+  });
+};
+
+/**
+ * Play the first live entry of the catalog, unless live media is selected
+ * already.
+ */
+CastPlayer.prototype.selectLiveMedia = function () {
+  if (this.mediaContents[this.currentMediaIndex]['streamType'] == 'LIVE') {
+    return;
   }
+  let mediaIndex = this.findLiveMediaIndex();
+  if (mediaIndex < 0) {
+    console.error('The catalog has no live entries.');
+    return;
+  }
+  this.selectMedia(mediaIndex);
+};
 
-  // Prevent indicator from exceeding the max width. Happens during
-  // short media when each progress step is large
-  var pp = Math.floor(PROGRESS_BAR_WIDTH * this.currentMediaTime / this.mediaDuration);
-  if (pp > PROGRESS_BAR_WIDTH) {
-    pp = PROGRESS_BAR_WIDTH;
-  } else if (pp < 0) {
-    pp = 0;
+/**
+ * Select a media content
+ * @param {number} mediaIndex A number for media index
+ */
+CastPlayer.prototype.selectMedia = function (mediaIndex) {
+  console.log('Media index selected: ' + mediaIndex);
+
+  this.currentMediaIndex = mediaIndex;
+  this.isExternalMedia = false;
+  this.emit(CAST_PLAYER_EVENT.MEDIA_CHANGE, {
+    mediaIndex: mediaIndex,
+    media: this.mediaContents[mediaIndex]
+  });
+  // Play from the queue if queued, otherwise queue after the current entry.
+  let id = this.mediaContents[mediaIndex]['id'];
+  if (this.queue.indexOf(id) < 0) {
+    this.queue.insert(id, this.queue.currentPosition + 1);
   }
+  this.queue.currentPosition = this.queue.indexOf(id);
+  this.renderQueue();
+
+  // Clear currentMediaInfo when playing content from the sender.
+  this.playerHandler.currentMediaInfo = undefined;
+
+  // Set video image
+  var vi = document.getElementById('video_image');
+  vi.src = this.mediaContents[mediaIndex]['thumb'];
 
-  progressBar.style.width = pp + 'px';
-  pi.style.marginLeft = pp + 'px';
+  // Reset progress bar
+  var pi = document.getElementById('progress_indicator');
+  pi.style.marginLeft = '0px';
+  var progress = document.getElementById('progress');
+  progress.style.width = '0px';
 
   let seekable_window = document.getElementById('seekable_window');
   let unseekable_overlay = document.getElementById('unseekable_overlay');
+  seekable_window.style.width = '100%';
+  unseekable_overlay.style.width = '0px';
+
+  // Stop timer and reset time displays
+  this.stopProgressTimer();
+  this.cancelLoadRetry();
+  this.loadRetry.reset();
+  this.hideErrorOverlay();
+  this.currentMediaTime = 0;
+  this.lastResumeSaveTime = 0;
+  this.startPaused = false;
+  this.playerHandler.setTimeString(document.getElementById('currentTime'), 0);
+  this.playerHandler.setTimeString(document.getElementById('duration'), 0);
+
+  this.setPlayerState(PLAYER_STATE.IDLE, 'media selected');
+  this.playerHandler.play();
+};
+
+/**
+ * Start scrubbing. The position follows the pointer until it is released,
+ * which sends a single seek.
+ * @param {PointerEvent} event
+ */
+CastPlayer.prototype.onProgressPointerDown = function (event) {
+  if (event.button != 0 || !this.progressBarEnabled || !this.isSeekable()) {
+    return;
+  }
+  let pointerTime = this.getPointerMediaTime(event);
+  if (pointerTime === null) return;
+
+  event.preventDefault();
+  // Keep receiving the moves when the pointer leaves the bar.
+  event.currentTarget.setPointerCapture(event.pointerId);
+  this.scrubTime = this.clampSeekTime(pointerTime);
+  this.updateProgressBar();
+  this.showScrubTooltip(this.scrubTime, this.scrubTime == pointerTime);
+};
+
+/**
+ * Show the time under the pointer, and move the position while scrubbing.
+ * @param {PointerEvent} event
+ */
+CastPlayer.prototype.onProgressPointerMove = function (event) {
+  let pointerTime = this.progressBarEnabled && this.isSeekable() ?
+    this.getPointerMediaTime(event) : null;
+  if (pointerTime === null) {
+    this.hideScrubTooltip();
+    return;
+  }
+
+  let mediaTime = this.clampSeekTime(pointerTime);
+  if (this.scrubTime !== null) {
+    this.scrubTime = mediaTime;
+    this.updateProgressBar();
+  }
+  // No preview of the unseekable parts of live streams.
+  this.showScrubTooltip(mediaTime, mediaTime == pointerTime);
+};
+
+/**
+ * Seek to the scrubbed time.
+ * @param {PointerEvent} event
+ */
+CastPlayer.prototype.onProgressPointerUp = function (event) {
+  if (this.scrubTime === null) return;
+
+  let seekTime = this.scrubTime;
+  this.scrubTime = null;
+  if (event.pointerType != 'mouse') {
+    this.hideScrubTooltip();
+  }
+
+  if (this.playerState === PLAYER_STATE.PLAYING ||
+    this.playerState === PLAYER_STATE.PAUSED) {
+    this.currentMediaTime = seekTime;
+  }
+  this.updateProgressBar();
+  this.seekToMediaTime(seekTime);
+  this.announce('Seek to ' + this.getMediaTimeString(seekTime));
+};
+
+/**
+ * Stop scrubbing without seeking.
+ */
+CastPlayer.prototype.cancelScrub = function () {
+  this.hideScrubTooltip();
+  if (this.scrubTime === null) return;
+
+  this.scrubTime = null;
+  this.updateProgressBar();
+};
+
+/**
+ * @param {PointerEvent} event
+ * @return {?number} Media time under the pointer, null if the duration or
+ *     the size of the bar is unknown.
+ */
+CastPlayer.prototype.getPointerMediaTime = function (event) {
+  // Measure at the time of the event, the bar follows the page layout.
+  let bar = document.getElementById('progress_bar_container')
+    .getBoundingClientRect();
+  if (bar.width == 0 || !(this.mediaDuration > 0)) return null;
+
+  let fraction = Math.max(0, Math.min(1, (event.clientX - bar.left) / bar.width));
+  return fraction * this.mediaDuration;
+};
+
+/**
+ * @param {number} seekTime Media time in seconds, relative to the section
+ *     start for live content.
+ * @return {number} The closest time within the media, and within the live
+ *     seekable range for live content.
+ */
+CastPlayer.prototype.clampSeekTime = function (seekTime) {
+  seekTime = Math.max(0, Math.min(this.mediaDuration, seekTime));
+  if (this.isLiveContent && this.liveSeekableRange) {
+    let sectionStart = this.liveSection ? this.liveSection.startTimeInMedia : 0;
+    seekTime = Math.max(this.liveSeekableRange.start - sectionStart,
+      Math.min(this.liveSeekableRange.end - sectionStart, seekTime));
+  }
+  return seekTime;
+};
+
+/**
+ * @param {number} mediaTime Time shown above the progress bar. Live content
+ *     with a known start shows the clock time.
+ * @param {boolean} showPreview Whether to show the thumbnail of the time.
+ */
+CastPlayer.prototype.showScrubTooltip = function (mediaTime, showPreview) {
+  let tooltip = document.getElementById('scrub_tooltip');
+  if (this.isLiveContent && this.liveSection &&
+    this.liveSection.startAbsoluteTime !== null) {
+    tooltip.textContent =
+      this.getClockTimeString(mediaTime + this.liveSection.startAbsoluteTime);
+  } else {
+    tooltip.textContent = this.getMediaTimeString(mediaTime);
+  }
+  tooltip.style.left = this.mediaTimeToPercent(mediaTime) + '%';
+  tooltip.style.display = 'block';
+
+  if (showPreview) {
+    this.showScrubPreview(mediaTime);
+  } else {
+    this.hideScrubPreview();
+  }
+};
+
+/**
+ * Hide the time shown above the progress bar.
+ */
+CastPlayer.prototype.hideScrubTooltip = function () {
+  document.getElementById('scrub_tooltip').style.display = 'none';
+  this.hideScrubPreview();
+};
+
+/**
+ * @return {?ThumbnailTrack} Trick-play thumbnails of the current media,
+ *     null if it has none. Loading starts on first use.
+ */
+CastPlayer.prototype.getThumbnailTrack = function () {
+  let media = this.mediaContents[this.currentMediaIndex];
+  if (!media || this.isExternalMedia) return null;
+
+  if (this.thumbnailTrackId !== media['id']) {
+    this.thumbnailTrackId = media['id'];
+    this.thumbnailTrack = media['thumbnails'] ?
+      new ThumbnailTrack(media['thumbnails']) : null;
+    if (this.thumbnailTrack) {
+      this.thumbnailTrack.load().catch(function (error) {
+        console.log('Thumbnails could not be loaded: ' + error);
+      });
+    }
+  }
+  return this.thumbnailTrack;
+};
+
+/**
+ * Show the thumbnail of a media time above the progress bar.
+ * @param {number} mediaTime
+ */
+CastPlayer.prototype.showScrubPreview = function (mediaTime) {
+  let track = this.getThumbnailTrack();
+  // Live media times are relative to the section start.
+  let sectionStart = this.isLiveContent && this.liveSection ?
+    this.liveSection.startTimeInMedia : 0;
+  let thumbnail = track && track.getThumbnail(mediaTime + sectionStart);
+  if (!thumbnail) {
+    this.hideScrubPreview();
+    return;
+  }
+
+  let preview = document.getElementById('scrub_preview');
+  preview.style.width = thumbnail.width + 'px';
+  preview.style.height = thumbnail.height + 'px';
+  preview.style.backgroundImage = 'url("' + thumbnail.url + '")';
+  preview.style.backgroundPosition = thumbnail.scaled ? 'center' :
+    -thumbnail.x + 'px ' + -thumbnail.y + 'px';
+  preview.style.backgroundSize = thumbnail.scaled ? 'cover' : 'auto';
+  preview.style.left = this.mediaTimeToPercent(mediaTime) + '%';
+  preview.style.display = 'block';
+};
+
+/**
+ * Hide the thumbnail above the progress bar.
+ */
+CastPlayer.prototype.hideScrubPreview = function () {
+  document.getElementById('scrub_preview').style.display = 'none';
+};
+
+/**
+ * Seek by a number of seconds from the current time.
+ * @param {number} offset Seconds, negative to seek backward.
+ */
+CastPlayer.prototype.seekBy = function (offset) {
+  if (this.mediaDuration == null || !this.isSeekable()) {
+    console.log('Error - Not seekable');
+    return;
+  }
+
+  let seekTime = this.clampSeekTime(this.currentMediaTime + offset);
+
+  if (this.playerState === PLAYER_STATE.PLAYING ||
+    this.playerState === PLAYER_STATE.PAUSED) {
+    this.currentMediaTime = seekTime;
+    this.updateProgressBar();
+  }
+  this.seekToMediaTime(seekTime);
+  this.announce('Seek to ' + this.getMediaTimeString(seekTime));
+};
+
+/**
+ * @return {boolean} Whether the current media can be seeked at all.
+ */
+CastPlayer.prototype.isSeekable = function () {
+  if (this.localAdBreak) {
+    return false;
+  }
+  if (this.isCasting() && !this.remotePlayer.canSeek) {
+    return false;
+  }
+  return !(this.isLiveContent && !this.liveSeekableRange);
+};
+
+/**
+ * Seek the current player.
+ * @param {number} seekTime Media time in seconds, relative to the section
+ *     start for live content.
+ */
+CastPlayer.prototype.seekToMediaTime = function (seekTime) {
+  // Interpolate from the new position until the player reports it.
+  this.syncProgress(seekTime);
+  if (this.isLiveContent && this.liveSection) {
+    seekTime += this.liveSection.startTimeInMedia;
+  }
+
+  this.playerHandler.seekTo(seekTime);
+};
+
+/**
+ * Set current player volume
+ * @param {Event} mouseEvent
+ */
+CastPlayer.prototype.setVolume = function (mouseEvent) {
+  // The level is drawn over the bottom of the track.
+  let track = document.getElementById('audio_bg_track').getBoundingClientRect();
+  if (track.height == 0) return;
+  this.playerHandler.setVolume((track.bottom - mouseEvent.clientY) / track.height);
+};
+
+/**
+ * Starts interpolating the media progress between the time updates of the
+ * player. Runs while the player is PLAYING.
+ */
+CastPlayer.prototype.startProgressTimer = function () {
+  this.stopProgressTimer();
+  this.syncProgress(this.playerHandler.getCurrentMediaTime());
+  this.progressFrame = requestAnimationFrame(this.interpolateProgressHandler);
+};
+
+/**
+ * Stops interpolating the media progress
+ */
+CastPlayer.prototype.stopProgressTimer = function () {
+  if (this.progressFrame) {
+    cancelAnimationFrame(this.progressFrame);
+    this.progressFrame = null;
+  }
+};
+
+/**
+ * @return {boolean} Whether media is loaded and not stopped, so that time
+ *     updates of the player apply to it.
+ */
+CastPlayer.prototype.isMediaActive = function () {
+  return this.playerState == PLAYER_STATE.PLAYING ||
+    this.playerState == PLAYER_STATE.PAUSED ||
+    this.playerState == PLAYER_STATE.BUFFERING ||
+    this.playerState == PLAYER_STATE.LOADED;
+};
+
+/**
+ * Set the time the progress is interpolated from.
+ * @param {number} mediaTime
+ */
+CastPlayer.prototype.syncProgress = function (mediaTime) {
+  this.reportedMediaTime = mediaTime || 0;
+  this.reportedAt = performance.now();
+};
+
+/**
+ * Sync with the time reported by the current player, local timeupdate,
+ * seeked and durationchange events or remote CURRENT_TIME_CHANGED and
+ * DURATION_CHANGED events.
+ */
+CastPlayer.prototype.onTimeUpdate = function () {
+  if (this.trackEmbeddedBreaks()) return;
+
+  this.currentMediaTime = this.playerHandler.getCurrentMediaTime();
+  this.mediaDuration = this.playerHandler.getMediaDuration();
+  this.syncProgress(this.currentMediaTime);
+
+  this.playerHandler.updateDurationDisplay();
+  this.playerHandler.updateCurrentTimeDisplay();
+  this.updateProgressBar();
+  this.updateLiveIndicator();
+  this.updatePrograms();
+  this.saveResumePosition(false);
+  this.emit(CAST_PLAYER_EVENT.TIME_UPDATE, {
+    currentTime: this.currentMediaTime,
+    duration: this.mediaDuration
+  });
+};
+
+/**
+ * Follow the current player through the embedded breaks. Watched breaks
+ * are skipped, and the local player shows when it plays a break, as the
+ * receiver does for remote media.
+ * @return {boolean} Whether a watched break is being skipped, the time
+ *     update will follow the seek.
+ */
+CastPlayer.prototype.trackEmbeddedBreaks = function () {
+  let streamTime = this.playerHandler.getStreamTime();
+  if (streamTime == null) return false;
+
+  let wasPlayingBreak = !!this.streamTimeline.currentBreakId;
+  let skipTo = this.streamTimeline.track(streamTime);
+  if (skipTo !== null) {
+    console.log('Skipping watched break at ' + streamTime);
+    this.playerHandler.seekToStreamTime(skipTo);
+  }
+  let playingBreak = !!this.streamTimeline.currentBreakId;
+  if (!this.isCasting() && playingBreak != wasPlayingBreak) {
+    this.isPlayingBreak(playingBreak);
+  }
+  return skipTo !== null;
+};
+
+/**
+ * Animation frame callback. Moves the progress by the time elapsed since the
+ * last reported time, at the current playback rate. Content time does not
+ * move during embedded breaks.
+ * @param {number} now Frame timestamp, comparable to performance.now().
+ */
+CastPlayer.prototype.interpolateProgress = function (now) {
+  this.progressFrame = requestAnimationFrame(this.interpolateProgressHandler);
+  if (this.streamTimeline.currentBreakId) return;
+
+  let elapsed = Math.max(0, now - this.reportedAt) / 1000 * this.playbackRate;
+  let mediaTime = this.reportedMediaTime +
+    Math.min(elapsed, MAX_PROGRESS_INTERPOLATION * this.playbackRate);
+  if (this.mediaDuration > 0 && !this.isLiveContent) {
+    mediaTime = Math.min(mediaTime, this.mediaDuration);
+  }
+
+  let secondChanged = Math.floor(mediaTime) != Math.floor(this.currentMediaTime);
+  this.currentMediaTime = mediaTime;
+  if (secondChanged) {
+    this.playerHandler.updateCurrentTimeDisplay();
+  }
+  this.updateProgressBar();
+};
+
+/**
+ * Update progress bar based on currentMediaTime
+ */
+CastPlayer.prototype.updateProgressBar = function () {
+  var progressBar = document.getElementById('progress');
+  var pi = document.getElementById('progress_indicator');
+  let seekable_window = document.getElementById('seekable_window');
+  let unseekable_overlay = document.getElementById('unseekable_overlay');
+
+  // Live situation where the progress and duration is unknown.
+  if (this.mediaDuration == null) {
+    if (!this.isLiveContent) {
+      console.log('Error - Duration is not defined for a VOD stream.');
+    }
+
+    progressBar.style.width = '0%';
+    this.setSkippable(false);
+    pi.style.display = 'none';
+    seekable_window.style.width = '0%';
+    unseekable_overlay.style.width = '0%';
+    return;
+  } else {
+    pi.style.display = '';
+  }
+
+  // Positions are percentages of the bar so that it can be resized freely.
+  // While scrubbing, the position follows the pointer.
+  let pp = this.mediaTimeToPercent(
+    this.scrubTime !== null ? this.scrubTime : this.currentMediaTime);
+  progressBar.style.width = pp + '%';
+  pi.style.left = pp + '%';
+
   if (this.isLiveContent) {
     if (this.liveSeekableRange) {
       // Use the liveSeekableRange to draw the seekable and unseekable windows
-      let seekableMediaPosition = Math.max(this.mediaInfo.metadata.sectionStartTimeInMedia, this.liveSeekableRange.end) -
-        this.mediaInfo.metadata.sectionStartTimeInMedia;
-      let seekableWidth = Math.floor(PROGRESS_BAR_WIDTH * seekableMediaPosition / this.mediaDuration);
-      if (seekableWidth > PROGRESS_BAR_WIDTH) {
-        seekableWidth = PROGRESS_BAR_WIDTH;
-      } else if (seekableWidth < 0) {
-        seekableWidth = 0;
-      }
-      seekable_window.style.width = seekableWidth + 'px';
-
-      let unseekableMediaPosition = Math.max(this.mediaInfo.metadata.sectionStartTimeInMedia, this.liveSeekableRange.start) -
-        this.mediaInfo.metadata.sectionStartTimeInMedia;
-      let unseekableWidth = Math.floor(PROGRESS_BAR_WIDTH * unseekableMediaPosition / this.mediaDuration);
-      if (unseekableWidth > PROGRESS_BAR_WIDTH) {
-        unseekableWidth = PROGRESS_BAR_WIDTH;
-      } else if (unseekableWidth < 0) {
-        unseekableWidth = 0;
-      }
-      unseekable_overlay.style.width = unseekableWidth + 'px';
+      let sectionStart = this.liveSection ? this.liveSection.startTimeInMedia : 0;
+      seekable_window.style.width = this.mediaTimeToPercent(
+        Math.max(sectionStart, this.liveSeekableRange.end) - sectionStart) + '%';
+      unseekable_overlay.style.width = this.mediaTimeToPercent(
+        Math.max(sectionStart, this.liveSeekableRange.start) - sectionStart) + '%';
     } else {
       // Nothing is seekable if no liveSeekableRange
-      seekable_window.style.width = '0px';
-      unseekable_overlay.style.width = PROGRESS_BAR_WIDTH + 'px';
+      seekable_window.style.width = '0%';
+      unseekable_overlay.style.width = '100%';
     }
   } else {
     // Default to everything seekable
-    seekable_window.style.width = PROGRESS_BAR_WIDTH + 'px';
-    unseekable_overlay.style.width = '0px';
+    seekable_window.style.width = '100%';
+    unseekable_overlay.style.width = '0%';
   }
+};
 
-  if (pp >= PROGRESS_BAR_WIDTH && !this.isLiveContent) {
-    this.endPlayback();
+/**
+ * Follow the DVR window of live media played locally. The progress bar
+ * shows the seekable part of the stream, at most the dvrWindow of the
+ * catalog entry, up to the live edge.
+ */
+CastPlayer.prototype.updateLocalLiveWindow = function () {
+  if (this.isCasting() || !this.isLiveContent) return;
+
+  let localPlayer = document.getElementById('video_element');
+  let seekable = localPlayer.seekable;
+  let previousSection = this.liveSection;
+  if (seekable.length == 0) {
+    this.liveSeekableRange = null;
+    this.liveSection = null;
+  } else {
+    let end = seekable.end(seekable.length - 1);
+    let start = seekable.start(0);
+    let dvrWindow = this.mediaContents[this.currentMediaIndex]['dvrWindow'];
+    if (dvrWindow !== undefined) {
+      start = Math.max(start, end - dvrWindow);
+    }
+    this.liveSeekableRange = {
+      start: start,
+      end: end,
+      isMovingWindow: true,
+      isLiveDone: false
+    };
+    // HLS streams with program date times have a start date.
+    let startDate = localPlayer.getStartDate ?
+      localPlayer.getStartDate().getTime() : NaN;
+    this.liveSection = {
+      startTimeInMedia: start,
+      duration: end - start,
+      startAbsoluteTime: isNaN(startDate) ? null : startDate / 1000 + start
+    };
+  }
+  // The window slides with the live edge, which moves the markers.
+  let section = this.liveSection;
+  let moved = !previousSection || !section ? previousSection !== section :
+    previousSection.startTimeInMedia != section.startTimeInMedia ||
+    previousSection.duration != section.duration;
+  if (moved) {
+    this.updateProgramMarkers();
+  }
+  this.updateLiveIndicator();
+};
+
+/**
+ * @return {?number} Seconds the current time is behind the end of the live
+ *     seekable range, null if not live or unknown.
+ */
+CastPlayer.prototype.getLiveLatency = function () {
+  if (!this.isLiveContent || !this.liveSeekableRange ||
+    this.currentMediaTime == null) {
+    return null;
+  }
+  let sectionStart = this.liveSection ? this.liveSection.startTimeInMedia : 0;
+  return Math.max(0,
+    this.liveSeekableRange.end - (this.currentMediaTime + sectionStart));
+};
+
+/**
+ * Show the live indicator for live content. It is active at the live edge,
+ * otherwise it shows how far behind live playback is and goes live when
+ * clicked.
+ */
+CastPlayer.prototype.updateLiveIndicator = function () {
+  let live_indicator = document.getElementById('live_indicator');
+  let live_latency = document.getElementById('live_latency');
+  if (!this.isLiveContent) {
+    live_indicator.style.display = 'none';
+    live_latency.style.display = 'none';
+    return;
+  }
+
+  let latency = this.getLiveLatency();
+  let atLiveEdge = latency !== null && latency < this.liveCatchUpThreshold;
+  live_indicator.style.display = 'block';
+  live_indicator.src = atLiveEdge ?
+    "imagefiles/live_indicator_active.png" :
+    "imagefiles/live_indicator_inactive.png";
+  live_indicator.setAttribute('aria-disabled', String(atLiveEdge));
+  live_indicator.style.cursor = atLiveEdge ? 'default' : 'pointer';
+
+  if (latency === null || atLiveEdge) {
+    live_latency.style.display = 'none';
+  } else {
+    live_latency.style.display = 'block';
+    live_latency.textContent = CastPlayer.getLatencyString(latency);
+  }
+};
+
+/**
+ * Seek to the live edge and continue playing.
+ */
+CastPlayer.prototype.goLive = function () {
+  if (!this.isLiveContent || !this.liveSeekableRange || !this.isSeekable()) {
+    return;
+  }
+
+  let sectionStart = this.liveSection ? this.liveSection.startTimeInMedia : 0;
+  this.seekToMediaTime(this.liveSeekableRange.end - sectionStart);
+  if (this.playerState == PLAYER_STATE.PAUSED) {
+    this.playerHandler.play();
   }
 };
 
+/**
+ * @param {number} seconds Seconds behind the live edge that still count as
+ *     live. Larger values hide small latencies, smaller ones catch up
+ *     closer to the edge.
+ */
+CastPlayer.prototype.setLiveCatchUpThreshold = function (seconds) {
+  this.liveCatchUpThreshold = Math.max(0, seconds);
+  this.updateLiveIndicator();
+};
+
+/**
+ * Carry the position over to a new section of live content. Media times
+ * are relative to the section start, so they are moved by the distance
+ * between the sections instead of jumping until the next time update.
+ * @param {{startTimeInMedia: number}} previousSection
+ */
+CastPlayer.prototype.onLiveSectionChanged = function (previousSection) {
+  let shift = this.liveSection.startTimeInMedia - previousSection.startTimeInMedia;
+  console.log('Live section moved by ' + shift + 's');
+  this.currentMediaTime -= shift;
+  this.reportedMediaTime -= shift;
+  this.mediaDuration = this.playerHandler.getMediaDuration();
+  if (this.scrubTime !== null) {
+    this.scrubTime = this.clampSeekTime(this.scrubTime - shift);
+  }
+
+  this.playerHandler.updateDurationDisplay();
+  this.playerHandler.updateCurrentTimeDisplay();
+  this.updateProgressBar();
+};
+
+/**
+ * Set the programs of the current live media: those of its catalog entry
+ * and, on a receiver, the section being played if no listed program covers
+ * it.
+ */
+CastPlayer.prototype.loadProgramGuide = function () {
+  let mediaIndex = this.isCasting() ?
+    this.findCatalogIndex(this.mediaInfo) : this.currentMediaIndex;
+  this.programGuide.setPrograms(this.isLiveContent && mediaIndex >= 0 ?
+    this.mediaContents[mediaIndex]['programs'] : []);
+
+  let section = this.liveSection;
+  let metadata = this.mediaInfo && this.mediaInfo.metadata;
+  if (this.isCasting() && section && section.startAbsoluteTime !== null &&
+    section.duration > 0 && metadata && metadata.title) {
+    this.programGuide.addProgram({
+      'title': metadata.title,
+      'startTime': section.startAbsoluteTime,
+      'endTime': section.startAbsoluteTime + section.duration
+    });
+  }
+  this.updatePrograms();
+  this.updateProgramMarkers();
+};
+
+/**
+ * @return {number} Clock time of the playback position of live content, in
+ *     seconds since the epoch. Without a known section start, the latency
+ *     is taken from the current time.
+ */
+CastPlayer.prototype.getLiveClockTime = function () {
+  if (this.liveSection && this.liveSection.startAbsoluteTime !== null &&
+    this.currentMediaTime != null) {
+    return this.liveSection.startAbsoluteTime + this.currentMediaTime;
+  }
+  return Date.now() / 1000 - (this.getLiveLatency() || 0);
+};
+
+/**
+ * Follow the programs at the playback position.
+ */
+CastPlayer.prototype.updatePrograms = function () {
+  if (this.programGuide.update(
+    this.isLiveContent ? this.getLiveClockTime() : null)) {
+    this.emit(CAST_PLAYER_EVENT.PROGRAM_CHANGE, {
+      current: this.programGuide.current,
+      next: this.programGuide.next
+    });
+  }
+};
+
+/**
+ * Mark where programs start and end on the progress bar. Only sections
+ * with a known clock time can be marked. Called when the programs or the
+ * live section change; the markers of the previous call are reused.
+ */
+CastPlayer.prototype.updateProgramMarkers = function () {
+  let markers = Array.from(document.querySelectorAll('.programMarker'));
+  let section = this.liveSection;
+  let boundaries = [];
+  if (this.isLiveContent && section && section.startAbsoluteTime !== null &&
+    section.duration > 0) {
+    boundaries = this.programGuide.getBoundaries(section.startAbsoluteTime,
+      section.startAbsoluteTime + section.duration);
+  }
+
+  let container = document.getElementById('progress_bar_container');
+  boundaries.forEach(function (time, i) {
+    let marker = markers[i];
+    if (!marker) {
+      marker = document.createElement('div');
+      marker.className = 'programMarker';
+      container.appendChild(marker);
+    }
+    marker.style.left =
+      this.mediaTimeToPercent(time - section.startAbsoluteTime) + '%';
+  }, this);
+  markers.slice(boundaries.length).forEach(function (marker) {
+    marker.remove();
+  });
+};
+
+/**
+ * @param {number} mediaTime
+ * @return {number} Position of the media time on the progress bar, as a
+ *     percentage of its width.
+ */
+CastPlayer.prototype.mediaTimeToPercent = function (mediaTime) {
+  if (!(this.mediaDuration > 0)) return 0;
+  return Math.max(0, Math.min(100, 100 * mediaTime / this.mediaDuration));
+};
+
+/**
+ * Fit the progress bar between the controls to its left and right. Called
+ * on resize, on full screen changes and when controls are shown or hidden,
+ * the positions on the bar are percentages and do not need updates.
+ */
+CastPlayer.prototype.layoutControls = function () {
+  let control = document.getElementById('media_control');
+  let container = document.getElementById('progress_bar_container');
+
+  // Collapse the bar first so that it does not push the floats around.
+  container.style.width = '0px';
+  let left = container.offsetLeft;
+  let right = control.clientWidth;
+  Array.from(control.children).forEach(function (child) {
+    let style = window.getComputedStyle(child);
+    if (style.float == 'right' && style.display != 'none') {
+      right = Math.min(right, child.offsetLeft - parseFloat(style.marginLeft));
+    }
+  });
+  container.style.width =
+    Math.max(0, right - left - PROGRESS_BAR_MARGIN) + 'px';
+};
+
 /**
  *  End playback. Called when media ends.
  */
 CastPlayer.prototype.endPlayback = function () {
+  if (this.playerState == PLAYER_STATE.ENDED) return;
+
+  if (!this.isExternalMedia) {
+    this.resumeStore.clear(this.mediaContents[this.currentMediaIndex]['id']);
+    this.renderContinueWatching();
+  }
   this.currentMediaTime = 0;
   this.stopProgressTimer();
-  this.playerState = PLAYER_STATE.IDLE;
+  this.setPlayerState(PLAYER_STATE.ENDED, 'ended');
   this.playerHandler.updateDisplay();
 
-  document.getElementById('play').style.display = 'block';
-  document.getElementById('pause').style.display = 'none';
+  // The receiver advances through its queue on its own.
+  if (!this.isCasting()) {
+    this.playNext();
+  }
 };
 
 /**
@@ -1206,10 +3349,11 @@ CastPlayer.prototype.getMediaTimeString = function (timestamp) {
 
 /**
  * @param {number} timestamp Linux timestamp
+ * @param {boolean=} withSeconds Whether to show seconds, true by default.
  * @return {?string} ClockTime string. Null if time is invalid.
  */
-CastPlayer.prototype.getClockTimeString = function (timestamp) {
-  if (!timestamp) return "0:00:00";
+CastPlayer.prototype.getClockTimeString = function (timestamp, withSeconds = true) {
+  if (!timestamp) return withSeconds ? "0:00:00" : "0:00";
 
   let date = new Date(timestamp * 1000);
   let hours = date.getHours();
@@ -1221,10 +3365,20 @@ CastPlayer.prototype.getClockTimeString = function (timestamp) {
   hours = hours ? hours : 12;
   minutes = ('0' + minutes).slice(-2);
   seconds = ('0' + seconds).slice(-2);
-  let clockTime = hours + ':' + minutes + ':' + seconds + ' ' + ampm;
+  let clockTime = hours + ':' + minutes + (withSeconds ? ':' + seconds : '') +
+    ' ' + ampm;
   return clockTime;
 };
 
+/**
+ * @param {{startTime: number, endTime: number}} program
+ * @return {string} Start and end clock times, e.g. "8:00 AM - 9:30 AM".
+ */
+CastPlayer.prototype.getProgramTimesString = function (program) {
+  return this.getClockTimeString(program['startTime'], false) + ' - ' +
+    this.getClockTimeString(program['endTime'], false);
+};
+
 /**
  * Updates Ad markers in UI
  */
@@ -1238,109 +3392,433 @@ CastPlayer.prototype.updateAdMarkers = function () {
   let mediaInfo = media.media;
   if (!mediaInfo) return;
 
-  let breaks = mediaInfo.breaks;
-  let contentDuration = mediaInfo.duration;
+  if (!mediaInfo.breaks) {
+    return;
+  }
+  this.showAdMarkers(mediaInfo.breaks,
+    this.streamTimeline.toContentDuration(mediaInfo.duration));
+};
+
+/**
+ * Add ad markers for breaks to the progress bar.
+ * @param {!Array<!Object>} breaks chrome.cast.media.Break objects or breaks
+ *     of an AdSchedule.
+ * @param {number} contentDuration
+ */
+CastPlayer.prototype.showAdMarkers = function (breaks, contentDuration) {
+  for (var i = 0; i < breaks.length; i++) {
+    let adBreak = breaks[i];
+
+    // Server-side stitched Ads (embedded) are skipped when the position is beyond
+    // the duration, so they shouldn't be shown with an ad marker on the UI.
+    if (adBreak.position > contentDuration && adBreak.isEmbedded) {
+      continue;
+    }
+
+    // Place marker if not already set in position
+    if (!document.getElementById('ad' + adBreak.position)) {
+      let marker = document.createElement('div');
+      marker.className = 'adMarker';
+      marker.id = 'ad' + adBreak.position;
+      marker.style.left =
+        this.adPositionToPercent(adBreak.position, contentDuration) + '%';
+      document.getElementById('progress_bar_container').appendChild(marker);
+    }
+  }
+};
+
+/**
+ * Remove Ad markers in UI
+ */
+CastPlayer.prototype.removeAdMarkers = function () {
+  document.querySelectorAll('.adMarker').forEach(function (adMarker) {
+    adMarker.remove();
+  });
+};
+
+/**
+ * Position of the ad marker, as a percentage of the progress bar width
+ */
+CastPlayer.prototype.adPositionToPercent = function (position, contentDuration) {
+  // Post-roll
+  if (position == -1) {
+    return 100;
+  }
+
+  // Client stitched Ads (not embedded) beyond the duration, will play at the
+  // end of the content.
+  if (position > contentDuration) {
+    return 100;
+  }
+
+  // Convert Ad position to percentage
+  return 100 * position / contentDuration;
+};
+
+/**
+ * Handle BREAK_CLIP_ID_CHANGED event of the remote player, or a clip change
+ * of the local break. Starts tracking the new clip.
+ * @param {?string} breakClipId Null between clips.
+ */
+CastPlayer.prototype.onBreakClipIdChanged = function (breakClipId) {
+  // Hide skip button when switching to a new breakClip
+  this.setSkippable(false);
+
+  let clip = breakClipId ? this.getBreakClip(breakClipId) : null;
+  this.currentBreakClip = clip;
+  let breakId = null;
+  let podPosition = null;
+  if (clip) {
+    breakId = this.localAdBreak ?
+      this.localAdBreak.adBreak['id'] : this.remotePlayer.currentBreakId;
+    podPosition = this.getPodPosition(breakId, clip.id);
+    this.adTracker.startClip(breakId, { id: clip.id, duration: clip.duration });
+  } else {
+    this.adTracker.endClip();
+  }
+  this.emit(CAST_PLAYER_EVENT.BREAK_CLIP_CHANGE, {
+    breakId: breakId,
+    breakClipId: clip ? clip.id : null,
+    title: clip ? clip.title : null,
+    clickThroughUrl: clip ? clip.clickThroughUrl : null,
+    clipNumber: podPosition ? podPosition.clipNumber : null,
+    clipCount: podPosition ? podPosition.clipCount : null
+  });
+};
+
+/**
+ * @param {?string} breakId
+ * @param {string} breakClipId
+ * @return {?{clipNumber: number, clipCount: number}} Position of the clip
+ *     in the clips of the break, counting from 1. Null if unknown.
+ */
+CastPlayer.prototype.getPodPosition = function (breakId, breakClipId) {
+  let breakClipIds = null;
+  if (this.localAdBreak) {
+    breakClipIds = this.localAdBreak.adBreak['breakClipIds'];
+  } else {
+    let media = this.getMediaSession();
+    let adBreak = media && media.media && (media.media.breaks || []).find(
+      function (mediaBreak) {
+        return mediaBreak.id == breakId;
+      });
+    breakClipIds = adBreak ? adBreak.breakClipIds : null;
+  }
+
+  let index = breakClipIds ? breakClipIds.indexOf(breakClipId) : -1;
+  if (index >= 0) {
+    return { clipNumber: index + 1, clipCount: breakClipIds.length };
+  }
+  // The receiver gives VAST clips ids of their own, use its count instead.
+  if (!this.localAdBreak && this.remotePlayer.numberBreakClips > 0) {
+    return {
+      clipNumber: this.remotePlayer.currentBreakClipNumber,
+      clipCount: this.remotePlayer.numberBreakClips
+    };
+  }
+  return null;
+};
+
+/**
+ * @param {string} breakClipId
+ * @return {{id: string, title: ?string, clickThroughUrl: ?string,
+ *     duration: ?number}} Break clip being played by the current player.
+ */
+CastPlayer.prototype.getBreakClip = function (breakClipId) {
+  let clip = null;
+  if (this.localAdBreak) {
+    clip = this.localAdClip;
+  } else {
+    let media = this.getMediaSession();
+    clip = media && media.media && (media.media.breakClips || []).find(
+      function (breakClip) {
+        return breakClip.id == breakClipId;
+      });
+  }
+  if (!clip || clip['id'] != breakClipId) {
+    // Clips the receiver created from VAST may not be in the media status.
+    clip = { 'id': breakClipId };
+  }
+
+  return {
+    id: breakClipId,
+    title: clip['title'] || null,
+    clickThroughUrl: clip['clickThroughUrl'] || null,
+    duration: clip['duration'] > 0 ? clip['duration'] : null
+  };
+};
+
+/**
+ * Disable progress bar if playing a break. BREAK_END is only emitted for a
+ * break that started.
+ */
+CastPlayer.prototype.isPlayingBreak = function (isPlayingBreak) {
+  this.enableProgressBar(!isPlayingBreak);
+  if (!isPlayingBreak && this.currentBreakClip) {
+    this.onBreakClipIdChanged(null);
+  }
+  if (isPlayingBreak == this.inBreak) return;
+
+  this.inBreak = isPlayingBreak;
+  this.emit(isPlayingBreak ?
+    CAST_PLAYER_EVENT.BREAK_START : CAST_PLAYER_EVENT.BREAK_END);
+};
+
+/**
+ * Handle WHEN_SKIPPABLE_CHANGED event
+ */
+CastPlayer.prototype.onWhenSkippableChanged = function (whenSkippable) {
+  this.whenSkippable = whenSkippable;
+};
+
+/**
+ * Handle CURRENT_BREAK_CLIP_TIME_CHANGED event
+ * @param {number} currentBreakClipTime
+ * @param {?number=} breakClipDuration Duration of the clip, if the player
+ *     knows it.
+ */
+CastPlayer.prototype.onCurrentBreakClipTimeChanged = function (currentBreakClipTime, breakClipDuration) {
+  this.adTracker.updateTime(currentBreakClipTime, breakClipDuration);
+  if (!(breakClipDuration > 0 && isFinite(breakClipDuration))) {
+    breakClipDuration = this.currentBreakClip ? this.currentBreakClip.duration : null;
+  }
+  this.emit(CAST_PLAYER_EVENT.BREAK_CLIP_TIME_UPDATE, {
+    clipTime: currentBreakClipTime,
+    clipDuration: breakClipDuration,
+    whenSkippable: this.whenSkippable >= 0 ? this.whenSkippable : null
+  });
+
+  // Unskippable
+  if (this.whenSkippable == undefined || this.whenSkippable < 0) {
+    // Hide skip button
+    this.setSkippable(false);
+  }
+  // Skippable
+  else if (currentBreakClipTime >= this.whenSkippable) {
+    // Show skip button
+    this.setSkippable(true);
+  }
+  // Not ready to be skipped
+  else {
+    // Hide skip button
+    this.setSkippable(false);
+  }
+};
 
-  if (!breaks) {
+/**
+ * Skip the current Ad
+ */
+CastPlayer.prototype.skipAd = function () {
+  if (this.localAdBreak) {
+    if (this.skippable) {
+      this.adTracker.skip();
+      this.playNextLocalBreakClip();
+    }
     return;
   }
+  this.adTracker.skip();
+  this.remotePlayerController.skipAd();
+}
 
-  for (var i = 0; i < breaks.length; i++) {
-    let adBreak = breaks[i];
-
-    // Server-side stitched Ads (embedded) are skipped when the position is beyond
-    // the duration, so they shouldn't be shown with an ad marker on the UI.
-    if (adBreak.position > contentDuration && adBreak.isEmbedded) {
-      continue;
-    }
+/**
+ * Open the advertiser page of the current break clip in a new tab. The clip
+ * is paused meanwhile.
+ */
+CastPlayer.prototype.openClickThrough = function () {
+  let clip = this.currentBreakClip;
+  if (!clip || !clip.clickThroughUrl) return;
 
-    // Place marker if not already set in position
-    if (!document.getElementById('ad' + adBreak.position)) {
-      var div = document.getElementById('progress')
-      div.innerHTML += '<div class="adMarker" id="ad' + adBreak.position +
-        '" style="margin-left: ' +
-        this.adPositionToMargin(adBreak.position, contentDuration) + 'px"></div>';
-    }
+  this.adTracker.click();
+  window.open(clip.clickThroughUrl, '_blank', 'noopener');
+  if (this.playerState == PLAYER_STATE.PLAYING) {
+    this.playerHandler.pause();
   }
 };
 
 /**
- * Remove Ad markers in UI
+ * Send the ad tracking beacons somewhere else, e.g. to a test endpoint with
+ * createBeaconSink.
+ * @param {function(!Object)} sink Receives the beacons, see AdTracker.
  */
-CastPlayer.prototype.removeAdMarkers = function () {
-  document.querySelectorAll('.adMarker').forEach(function (adMarker) {
-    adMarker.remove();
-  });
+CastPlayer.prototype.setAdTrackingSink = function (sink) {
+  this.adTracker.sink = sink;
 };
 
 /**
- * Position of the ad marker from the margin
+ * Play the breaks of the ad schedule of media loaded by the local player.
+ * The breaks of the previous media are dropped.
+ * @param {number} mediaIndex
  */
-CastPlayer.prototype.adPositionToMargin = function (position, contentDuration) {
-  // Post-roll
-  if (position == -1) {
-    return PROGRESS_BAR_WIDTH;
+CastPlayer.prototype.loadLocalAds = function (mediaIndex) {
+  this.stopLocalBreak();
+  this.removeAdMarkers();
+  this.localAds = null;
+  this.lastContentTime = -1;
+  if (this.streamTimeline.currentBreakId) {
+    this.isPlayingBreak(false);
   }
+  let contentUrl = this.mediaContents[mediaIndex]['contentUrl'];
+  this.streamTimeline.setBreaks(contentUrl, []);
+  if (!ENABLE_ADS) return;
+
+  this.getAdSchedule(mediaIndex).then(
+    function (schedule) {
+      if (this.isCasting() || mediaIndex != this.currentMediaIndex) return;
+
+      this.streamTimeline.setBreaks(contentUrl, schedule.breaks);
+      this.localAds = new AdBreakTracker(schedule);
+      this.showLocalAdMarkers();
+      // Content may have started while the schedule was loading.
+      this.checkLocalBreaks();
+    }.bind(this),
+    function (error) {
+      console.error('Ad schedule error, playing without ads: ' + error.message);
+    });
+};
 
-  // Client stitched Ads (not embedded) beyond the duration, will play at the
-  // end of the content.
-  if (position > contentDuration) {
-    return PROGRESS_BAR_WIDTH;
-  }
+/**
+ * Show the breaks of the local media on the progress bar once its duration
+ * is known.
+ */
+CastPlayer.prototype.showLocalAdMarkers = function () {
+  let duration = this.streamTimeline.toContentDuration(
+    document.getElementById('video_element').duration);
+  if (this.isCasting() || !this.localAds || !(duration > 0)) return;
 
-  // Convert Ad position to margin
-  return (PROGRESS_BAR_WIDTH * position) / contentDuration;
+  this.removeAdMarkers();
+  this.showAdMarkers(this.localAds.schedule.breaks, duration);
 };
 
 /**
- * Handle BREAK_CLIP_ID_CHANGED event
+ * Play the break that local playback reached or seeked past. Only playing
+ * content is checked, a seek while paused is checked once playback resumes.
  */
-CastPlayer.prototype.onBreakClipIdChanged = function () {
-  // Hide skip button when switching to a new breakClip
-  document.getElementById('skip').style.display = 'none';
+CastPlayer.prototype.checkLocalBreaks = function () {
+  let localPlayer = document.getElementById('video_element');
+  if (this.isCasting() || !this.localAds || this.localAdBreak ||
+    localPlayer.paused) {
+    return;
+  }
+
+  // Embedded breaks are not due while they play.
+  if (this.streamTimeline.getBreakAt(localPlayer.currentTime)) return;
+  let time = this.streamTimeline.toContentTime(localPlayer.currentTime);
+  let adBreak = this.localAds.getBreakBetween(this.lastContentTime, time);
+  if (adBreak) {
+    this.playLocalBreak(adBreak, time);
+    return;
+  }
+  this.lastContentTime = time;
 };
 
 /**
- * Disable progress bar if playing a break.
+ * Pause content and play the clips of a break on the ad video element.
+ * @param {!Object} adBreak Break of the AdSchedule.
+ * @param {number} resumeTime Content time to continue at after the break.
  */
-CastPlayer.prototype.isPlayingBreak = function (isPlayingBreak) {
-  this.enableProgressBar(!isPlayingBreak);
+CastPlayer.prototype.playLocalBreak = function (adBreak, resumeTime) {
+  let localPlayer = document.getElementById('video_element');
+  localPlayer.pause();
+  localPlayer.style.display = 'none';
+  document.getElementById('ad_video_element').style.display = 'block';
+
+  // Even a break that fails to play is not tried again.
+  this.localAds.markWatched(adBreak['id']);
+  this.localAdBreak = { adBreak: adBreak, clipIndex: -1, resumeTime: resumeTime };
+  this.isPlayingBreak(true);
+  this.playNextLocalBreakClip();
 };
 
 /**
- * Handle WHEN_SKIPPABLE_CHANGED event
+ * Play the next clip of the local break, or end the break after the last
+ * one. Clips that cannot be resolved or played by the browser are skipped.
  */
-CastPlayer.prototype.onWhenSkippableChanged = function (whenSkippable) {
-  this.whenSkippable = whenSkippable;
+CastPlayer.prototype.playNextLocalBreakClip = function () {
+  let state = this.localAdBreak;
+  if (!state) return;
+
+  state.clipIndex++;
+  this.onBreakClipIdChanged(null);
+  let clipIds = state.adBreak['breakClipIds'];
+  if (state.clipIndex >= clipIds.length) {
+    this.endLocalBreak();
+    return;
+  }
+
+  let adPlayer = document.getElementById('ad_video_element');
+  adPlayer.pause();
+  this.localAds.schedule.resolveClip(clipIds[state.clipIndex]).then(
+    function (clip) {
+      // Skipped, ended or replaced in the meantime.
+      if (this.localAdBreak !== state) return;
+
+      let contentUrl = clip && (clip['localContentUrl'] || clip['contentUrl']);
+      let contentType = clip && (clip['localContentUrl'] ?
+        clip['localContentType'] : clip['contentType']);
+      if (!clip || !adPlayer.canPlayType(contentType)) {
+        console.log('Break clip ' + clipIds[state.clipIndex] + ' cannot be played locally.');
+        this.playNextLocalBreakClip();
+        return;
+      }
+      this.localAdClip = clip;
+      this.onBreakClipIdChanged(clip['id']);
+      this.onWhenSkippableChanged(clip['whenSkippable']);
+      adPlayer.src = contentUrl;
+      if (this.playerState != PLAYER_STATE.PAUSED) {
+        adPlayer.play();
+      }
+    }.bind(this),
+    function (error) {
+      if (this.localAdBreak !== state) return;
+      console.log('Break clip ' + clipIds[state.clipIndex] + ' error: ' + error.message);
+      this.playNextLocalBreakClip();
+    }.bind(this));
 };
 
 /**
- * Handle CURRENT_BREAK_CLIP_TIME_CHANGED event
+ * Continue content after the local break, or end playback after a
+ * post-roll.
  */
-CastPlayer.prototype.onCurrentBreakClipTimeChanged = function (currentBreakClipTime) {
-  // Unskippable
-  if (this.whenSkippable == undefined || this.whenSkippable < 0) {
-    // Hide skip button
-    document.getElementById('skip').style.display = 'none';
+CastPlayer.prototype.endLocalBreak = function () {
+  let state = this.localAdBreak;
+  this.stopLocalBreak();
+  if (!state) return;
+
+  if (state.adBreak['position'] < 0) {
+    this.endPlayback();
+    return;
   }
-  // Skippable
-  else if (currentBreakClipTime >= this.whenSkippable) {
-    // Show skip button
-    document.getElementById('skip').style.display = 'block';
+
+  // Breaks skipped by a seek before this one do not play anymore.
+  this.lastContentTime = state.adBreak['position'];
+  let localPlayer = document.getElementById('video_element');
+  localPlayer.style.display = 'block';
+  let resumeTime = this.streamTimeline.toStreamTime(state.resumeTime);
+  if (localPlayer.currentTime != resumeTime) {
+    localPlayer.currentTime = resumeTime;
   }
-  // Not ready to be skipped
-  else {
-    // Hide skip button
-    document.getElementById('skip').style.display = 'none';
+  if (this.playerState != PLAYER_STATE.PAUSED) {
+    localPlayer.play();
   }
 };
 
 /**
- * Skip the current Ad
+ * Stop the local break without continuing content.
  */
-CastPlayer.prototype.skipAd = function () {
-  this.remotePlayerController.skipAd();
-}
+CastPlayer.prototype.stopLocalBreak = function () {
+  if (!this.localAdBreak) return;
+
+  this.localAdBreak = null;
+  this.localAdClip = null;
+  let adPlayer = document.getElementById('ad_video_element');
+  adPlayer.pause();
+  adPlayer.removeAttribute('src');
+  adPlayer.load();
+  adPlayer.style.display = 'none';
+  this.onWhenSkippableChanged(null);
+  this.setSkippable(false);
+  this.isPlayingBreak(false);
+};
 
 /**
  * Enable/disable progress bar
@@ -1356,25 +3834,16 @@ CastPlayer.prototype.enableProgressBar = function (enable) {
     progress.style.cursor = "pointer";
     seekable_window.style.cursor = "pointer";
     progress_indicator.style.cursor = "pointer";
-    progress_indicator.draggable = true;
-
-    // Add listeners
-    progress.addEventListener('click', this.seekMediaListener);
-    seekable_window.addEventListener('click', this.seekMediaListener);
-    progress_indicator.addEventListener('dragend', this.seekMediaListener);
   } else {
     // Disable UI
     progress.style.backgroundImage = "url('./imagefiles/timeline_bg_buffer.png')";
     progress.style.cursor = "default";
     seekable_window.style.cursor = "default";
     progress_indicator.style.cursor = "default";
-    progress_indicator.draggable = false;
 
-    // Remove listeners
-    progress.removeEventListener('click', this.seekMediaListener);
-    seekable_window.removeEventListener('click', this.seekMediaListener);
-    progress_indicator.removeEventListener('dragend', this.seekMediaListener);
+    this.cancelScrub();
   }
+  this.progressBarEnabled = enable;
 }
 
 /**
@@ -1411,6 +3880,7 @@ CastPlayer.prototype.cancelFullScreen = function () {
  */
 CastPlayer.prototype.fullscreenChangeHandler = function () {
   this.fullscreen = !this.fullscreen;
+  this.layoutControls();
 };
 
 /**
@@ -1424,6 +3894,7 @@ CastPlayer.prototype.showFullscreenButton = function () {
     document.getElementById('fullscreen_expand').style.display = 'block';
     document.getElementById('fullscreen_collapse').style.display = 'none';
   }
+  this.layoutControls();
 };
 
 /**
@@ -1432,6 +3903,7 @@ CastPlayer.prototype.showFullscreenButton = function () {
 CastPlayer.prototype.hideFullscreenButton = function () {
   document.getElementById('fullscreen_expand').style.display = 'none';
   document.getElementById('fullscreen_collapse').style.display = 'none';
+  this.layoutControls();
 };
 
 /**
@@ -1477,15 +3949,312 @@ CastPlayer.prototype.hideVolumeSlider = function () {
 };
 
 /**
- * Reset the volume slider
+ * Subscribe the player UI to the player events. The embedding application
+ * can subscribe its own widgets the same way.
+ */
+CastPlayer.prototype.addUIListeners = function () {
+  this.addEventListener(CAST_PLAYER_EVENT.STATE_CHANGE, function (event) {
+    if (event.state == PLAYER_STATE.PLAYING) {
+      document.getElementById('play').style.display = 'none';
+      document.getElementById('pause').style.display = 'block';
+    } else if (event.state == PLAYER_STATE.PAUSED ||
+      event.state == PLAYER_STATE.IDLE ||
+      event.state == PLAYER_STATE.ENDED ||
+      event.state == PLAYER_STATE.ERROR) {
+      document.getElementById('play').style.display = 'block';
+      document.getElementById('pause').style.display = 'none';
+    }
+  });
+
+  this.addEventListener(CAST_PLAYER_EVENT.VOLUME_CHANGE, function (event) {
+    document.getElementById('audio_on').style.display =
+      event.muted ? 'none' : 'block';
+    document.getElementById('audio_off').style.display =
+      event.muted ? 'block' : 'none';
+
+    // The level is a float next to the track, size it in track pixels.
+    var volume = event.volume *
+      document.getElementById('audio_bg_track').clientHeight;
+    var p = document.getElementById('audio_bg_level');
+    p.style.height = volume + 'px';
+    p.style.marginTop = -volume + 'px';
+  });
+
+  this.addEventListener(CAST_PLAYER_EVENT.SKIPPABLE_CHANGE, function (event) {
+    document.getElementById('skip').style.display =
+      event.skippable ? 'block' : 'none';
+  });
+
+  this.addEventListener(CAST_PLAYER_EVENT.BREAK_CLIP_CHANGE, function (event) {
+    document.getElementById('learn_more').style.display =
+      event.clickThroughUrl ? 'block' : 'none';
+
+    // Keep the overlay up between the clips of a pod.
+    if (!event.breakClipId) return;
+    document.getElementById('ad_overlay').style.display = 'block';
+    document.getElementById('ad_position').textContent = event.clipCount ?
+      'Ad ' + event.clipNumber + ' of ' + event.clipCount : 'Ad';
+    document.getElementById('ad_title').textContent = event.title || '';
+    document.getElementById('ad_remaining').textContent = '';
+    document.getElementById('ad_skip_countdown').textContent = '';
+  });
+
+  this.addEventListener(CAST_PLAYER_EVENT.BREAK_CLIP_TIME_UPDATE, function (event) {
+    let remaining = event.clipDuration ?
+      Math.max(0, event.clipDuration - event.clipTime) : null;
+    document.getElementById('ad_remaining').textContent = remaining !== null ?
+      CastPlayer.getCountdownString(remaining) : '';
+
+    // The skip button replaces the countdown once the clip can be skipped.
+    let untilSkippable = event.whenSkippable !== null ?
+      event.whenSkippable - event.clipTime : 0;
+    document.getElementById('ad_skip_countdown').textContent = untilSkippable > 0 ?
+      'Skip in ' + Math.ceil(untilSkippable) + '\u2026' : '';
+  });
+
+  this.addEventListener(CAST_PLAYER_EVENT.BREAK_END, function () {
+    document.getElementById('ad_overlay').style.display = 'none';
+  });
+
+  this.addEventListener(CAST_PLAYER_EVENT.PROGRAM_CHANGE, function (event) {
+    document.getElementById('program_info').style.display =
+      event.current || event.next ? 'block' : 'none';
+    [['now_playing', 'Now playing', event.current],
+      ['up_next', 'Up next', event.next]].forEach(function (row) {
+      let program = row[2];
+      document.getElementById(row[0]).textContent = program ?
+        row[1] + ': ' + program['title'] + ' ' +
+        this.getProgramTimesString(program) : '';
+    }, this);
+  }.bind(this));
+
+  this.addEventListener(
+    CAST_PLAYER_EVENT.MEDIA_CHANGE, this.highlightCurrentThumb.bind(this));
+};
+
+/**
+ * Announce player changes to screen readers and keep the ARIA attributes
+ * of the controls up to date.
+ */
+CastPlayer.prototype.addAccessibilityListeners = function () {
+  this.addEventListener(CAST_PLAYER_EVENT.STATE_CHANGE, function (event) {
+    let messages = {
+      'BUFFERING': 'Loading',
+      'PLAYING': 'Playing',
+      'PAUSED': 'Paused',
+      'ENDED': 'Playback ended'
+    };
+    if (messages[event.state]) {
+      this.announce(messages[event.state]);
+    }
+
+    // Keep the focus when play and pause replace each other.
+    let focused = document.activeElement;
+    if (focused && (focused.id == 'play' || focused.id == 'pause') &&
+      focused.style.display == 'none') {
+      document.getElementById(focused.id == 'play' ? 'pause' : 'play').focus();
+    }
+  }.bind(this));
+
+  this.addEventListener(CAST_PLAYER_EVENT.MEDIA_CHANGE, function (event) {
+    this.announce('Now playing ' + event.media['title']);
+  }.bind(this));
+
+  this.addEventListener(CAST_PLAYER_EVENT.ERROR, function (event) {
+    this.announce('Error: ' + event.message);
+  }.bind(this));
+
+  this.addEventListener(CAST_PLAYER_EVENT.BREAK_START, function () {
+    this.announce('Ad break started');
+  }.bind(this));
+
+  this.addEventListener(CAST_PLAYER_EVENT.BREAK_CLIP_CHANGE, function (event) {
+    if (event.clipCount > 1) {
+      this.announce('Ad ' + event.clipNumber + ' of ' + event.clipCount);
+    }
+  }.bind(this));
+
+  this.addEventListener(CAST_PLAYER_EVENT.BREAK_END, function () {
+    this.announce('Ad break ended');
+  }.bind(this));
+
+  this.addEventListener(CAST_PLAYER_EVENT.PROGRAM_CHANGE, function (event) {
+    if (event.current) {
+      this.announce('Now playing ' + event.current['title']);
+    }
+  }.bind(this));
+
+  this.addEventListener(CAST_PLAYER_EVENT.SKIPPABLE_CHANGE, function (event) {
+    if (event.skippable) {
+      this.announce('Ad can be skipped');
+    }
+  }.bind(this));
+
+  this.addEventListener(CAST_PLAYER_EVENT.RATE_CHANGE, function (event) {
+    this.announce('Playback speed ' + event.playbackRate + 'x');
+  }.bind(this));
+
+  this.addEventListener(CAST_PLAYER_EVENT.CAST_CONNECTED, function (event) {
+    this.announce('Casting to ' + event.deviceName);
+  }.bind(this));
+
+  this.addEventListener(CAST_PLAYER_EVENT.CAST_DISCONNECTED, function () {
+    this.announce('Playing on this device');
+  }.bind(this));
+
+  this.addEventListener(CAST_PLAYER_EVENT.VOLUME_CHANGE, function (event) {
+    let volume = Math.round(event.volume * 100);
+    let slider = document.getElementById('audio_bg_track');
+    slider.setAttribute('aria-valuenow', volume);
+    slider.setAttribute('aria-valuetext', event.muted ? 'Muted' : volume + '%');
+  });
+
+  this.addEventListener(CAST_PLAYER_EVENT.TIME_UPDATE, function (event) {
+    let slider = document.getElementById('progress_indicator');
+    slider.setAttribute('aria-valuenow', Math.floor(event.currentTime) || 0);
+    slider.setAttribute('aria-valuemax', Math.floor(event.duration) || 0);
+    slider.setAttribute('aria-valuetext',
+      this.getMediaTimeString(event.currentTime) || '');
+  }.bind(this));
+};
+
+/**
+ * Read a message to screen reader users.
+ * @param {string} message
+ */
+CastPlayer.prototype.announce = function (message) {
+  document.getElementById('player_announcer').textContent = message;
+};
+
+/**
+ * Handle keyboard activation of the controls, and the shortcuts while the
+ * player has focus. Elsewhere, arrows and space scroll the page as usual.
+ * @param {KeyboardEvent} event
+ */
+CastPlayer.prototype.onKeyDown = function (event) {
+  if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+  let target = event.target;
+  if (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON', 'A']
+    .indexOf(target.tagName) >= 0) {
+    return;
+  }
+
+  // Controls are divs, activate them like buttons.
+  let role = target.getAttribute && target.getAttribute('role');
+  if ((role == 'button' || role == 'menuitemradio') &&
+    (event.key == 'Enter' || event.key == ' ')) {
+    event.preventDefault();
+    target.click();
+    return;
+  }
+
+  if (!document.getElementById('main_video').contains(target)) return;
+
+  let action = KEYBOARD_SHORTCUTS[event.key.length == 1 ?
+    event.key.toLowerCase() : event.key];
+  if (!action) return;
+
+  event.preventDefault();
+  this[action]();
+};
+
+/**
+ * Play or pause the current media.
+ */
+CastPlayer.prototype.togglePlay = function () {
+  if (this.playerState == PLAYER_STATE.PLAYING ||
+    this.playerState == PLAYER_STATE.BUFFERING) {
+    this.playerHandler.pause();
+  } else {
+    this.playerHandler.play();
+  }
+};
+
+/**
+ * Seek SEEK_STEP seconds backward.
+ */
+CastPlayer.prototype.seekBackward = function () {
+  this.seekBy(-SEEK_STEP);
+};
+
+/**
+ * Seek SEEK_STEP seconds forward.
+ */
+CastPlayer.prototype.seekForward = function () {
+  this.seekBy(SEEK_STEP);
+};
+
+/**
+ * Raise the volume by VOLUME_STEP.
+ */
+CastPlayer.prototype.volumeUp = function () {
+  this.changeVolumeBy(VOLUME_STEP);
+};
+
+/**
+ * Lower the volume by VOLUME_STEP.
+ */
+CastPlayer.prototype.volumeDown = function () {
+  this.changeVolumeBy(-VOLUME_STEP);
+};
+
+/**
+ * @param {number} delta Volume change between -1 and 1.
+ */
+CastPlayer.prototype.changeVolumeBy = function (delta) {
+  let volume = Math.max(0, Math.min(1, this.playerHandler.getVolume() + delta));
+  this.playerHandler.setVolume(volume);
+  this.announce('Volume ' + Math.round(volume * 100) + '%');
+};
+
+/**
+ * Mute or unmute.
+ */
+CastPlayer.prototype.toggleMute = function () {
+  if (this.playerHandler.isMuted()) {
+    this.playerHandler.unMute();
+    this.announce('Unmuted');
+  } else {
+    this.playerHandler.mute();
+    this.announce('Muted');
+  }
+};
+
+/**
+ * Enter or exit full screen. Only available for local playback.
+ */
+CastPlayer.prototype.toggleFullscreen = function () {
+  if (this.isCasting()) return;
+
+  if (this.fullscreen) {
+    this.cancelFullScreen();
+  } else {
+    this.requestFullScreen();
+  }
+};
+
+/**
+ * Turn the first text track on, or all text tracks off.
+ */
+CastPlayer.prototype.toggleCaptions = function () {
+  let tracks = this.playerHandler.getTextTracks();
+  if (tracks.length == 0) return;
+
+  let showing = tracks.some(function (track) {
+    return this.activeTrackIds.indexOf(track.trackId) >= 0;
+  }, this);
+  this.playerHandler.setActiveTracks(showing ? [] : [tracks[0].trackId]);
+  this.announce(showing ? 'Captions off' : 'Captions ' + tracks[0].name);
+};
+
+/**
+ * Skip the current ad if it can be skipped.
  */
-CastPlayer.prototype.resetVolumeSlider = function () {
-  var volumeTrackHeight = document.getElementById('audio_bg_track').clientHeight;
-  var defaultVolumeSliderHeight = DEFAULT_VOLUME * volumeTrackHeight;
-  document.getElementById('audio_bg_level').style.height =
-    defaultVolumeSliderHeight + 'px';
-  document.getElementById('audio_on').style.display = 'block';
-  document.getElementById('audio_off').style.display = 'none';
+CastPlayer.prototype.skipAdShortcut = function () {
+  if (this.skippable) {
+    this.skipAd();
+  }
 };
 
 /**
@@ -1497,14 +4266,23 @@ CastPlayer.prototype.initializeUI = function () {
     this.mediaContents[0]['title'];
   document.getElementById('media_subtitle').innerHTML =
     this.mediaContents[this.currentMediaIndex]['subtitle'];
-  document.getElementById('seekable_window').addEventListener(
-    'click', this.seekMediaListener);
-  document.getElementById('progress').addEventListener(
-    'click', this.seekMediaListener);
-  document.getElementById('progress_indicator').addEventListener(
-    'dragend', this.seekMediaListener);
+  let progressBar = document.getElementById('progress_bar_container');
+  progressBar.addEventListener(
+    'pointerdown', this.onProgressPointerDown.bind(this));
+  progressBar.addEventListener(
+    'pointermove', this.onProgressPointerMove.bind(this));
+  progressBar.addEventListener(
+    'pointerup', this.onProgressPointerUp.bind(this));
+  progressBar.addEventListener('pointercancel', this.cancelScrub.bind(this));
+  progressBar.addEventListener('pointerleave', function () {
+    if (this.scrubTime === null) {
+      this.hideScrubTooltip();
+    }
+  }.bind(this));
   document.getElementById('skip').addEventListener(
     'click', this.skipAd.bind(this));
+  document.getElementById('learn_more').addEventListener(
+    'click', this.openClickThrough.bind(this));
   document.getElementById('audio_on').addEventListener(
     'click', this.playerHandler.mute.bind(this.playerHandler));
   document.getElementById('audio_off').addEventListener(
@@ -1533,10 +4311,18 @@ CastPlayer.prototype.initializeUI = function () {
     'mouseover', this.showMediaControl.bind(this));
   document.getElementById('media_control').addEventListener(
     'mouseout', this.hideMediaControl.bind(this));
+  document.getElementById('live_indicator').addEventListener(
+    'click', this.goLive.bind(this));
   document.getElementById('fullscreen_expand').addEventListener(
     'click', this.requestFullScreen.bind(this));
   document.getElementById('fullscreen_collapse').addEventListener(
     'click', this.cancelFullScreen.bind(this));
+  document.getElementById('catalog_refresh').addEventListener(
+    'click', this.refreshCatalog.bind(this));
+  document.getElementById('catalog_refresh').style.display =
+    MEDIA_FEED_URL ? 'block' : 'none';
+  document.addEventListener('keydown', this.onKeyDown.bind(this));
+  window.addEventListener('resize', this.layoutControls.bind(this));
   document.addEventListener(
     'fullscreenchange', this.fullscreenChangeHandler.bind(this), false);
   document.addEventListener(
@@ -1548,7 +4334,24 @@ CastPlayer.prototype.initializeUI = function () {
   document.getElementById('pause').addEventListener(
     'click', this.playerHandler.pause.bind(this.playerHandler));
 
-  document.getElementById('progress_indicator').draggable = true;
+  document.getElementById('captions').addEventListener(
+    'click', this.toggleCaptionsMenu.bind(this));
+  document.getElementById('playback_rate').addEventListener(
+    'click', this.togglePlaybackRateMenu.bind(this));
+  this.updatePlaybackRateMenu();
+  document.getElementById('error_retry').addEventListener('click', function () {
+    this.loadRetry.reset();
+    this.retryLoad();
+  }.bind(this));
+  document.getElementById('error_dismiss').addEventListener(
+    'click', this.hideErrorOverlay.bind(this));
+
+  // Enable queue buttons
+  document.getElementById('previous').addEventListener(
+    'click', this.playPrevious.bind(this));
+  document.getElementById('next').addEventListener(
+    'click', this.playNext.bind(this));
+  this.renderQueue();
 
   // Set up feature radio buttons
   let noneRadio = document.getElementById('none');
@@ -1568,7 +4371,8 @@ CastPlayer.prototype.initializeUI = function () {
     ENABLE_LIVE = true;
     ENABLE_ADS = false;
     console.log("Live has been enabled");
-  }
+    this.selectLiveMedia();
+  }.bind(this);
 
   if (ENABLE_ADS) {
     if (ENABLE_LIVE) {
@@ -1583,14 +4387,151 @@ CastPlayer.prototype.initializeUI = function () {
     noneRadio.checked = true;
     console.log("No features are enabled");
   }
+  this.updateLiveRadio();
+};
+
+/**
+ * Offer the Live feature only if the catalog has a live entry.
+ */
+CastPlayer.prototype.updateLiveRadio = function () {
+  let available = this.findLiveMediaIndex() >= 0;
+  let liveRadio = document.getElementById('live');
+  liveRadio.disabled = !available;
+  document.getElementById('live_unavailable').style.display =
+    available ? 'none' : 'inline';
+  if (!available && liveRadio.checked) {
+    ENABLE_LIVE = false;
+    document.getElementById('none').checked = true;
+  }
+};
+
+/**
+ * Replace the media contents once the catalog has loaded and redraw the
+ * carousel. Keeps the current media selected if it is still in the catalog,
+ * otherwise reports it and marks it external until other media is selected.
+ * Invalid entries are reported without affecting the valid ones.
+ * @param {!Promise<!Array<!Object>>} catalogPromise Pending catalog load.
+ * @return {!Promise}
+ */
+CastPlayer.prototype.loadCatalog = function (catalogPromise) {
+  return catalogPromise.then(
+    function (media) {
+      this.catalog.errors.forEach(function (error) {
+        console.warn('Catalog entry ' + error.index +
+          (error.title ? ' (' + error.title + ')' : '') +
+          ' skipped: ' + error.reason);
+      });
+
+      if (media.length == 0) {
+        console.error('Catalog has no valid entries, keeping current media.');
+        return;
+      }
+
+      let current = this.isExternalMedia ? null :
+        this.mediaContents[this.currentMediaIndex];
+      this.mediaContents = media;
+      this.adSchedules = {};
+      let mediaIndex = current ? this.catalog.indexOf(current['id']) : -1;
+      if (mediaIndex >= 0) {
+        this.currentMediaIndex = mediaIndex;
+      } else {
+        // The current media plays on, but no entry describes it anymore.
+        this.currentMediaIndex = Math.min(this.currentMediaIndex, media.length - 1);
+        if (current) {
+          console.warn('Current media ' + current['title'] +
+            ' is no longer in the catalog.');
+          this.isExternalMedia = true;
+        }
+      }
+      this.addVideoThumbs();
+      this.renderContinueWatching();
+      this.updateLiveRadio();
+
+      // Drop queued entries that are no longer in the catalog.
+      for (let i = this.queue.items.length - 1; i >= 0; i--) {
+        if (this.catalog.indexOf(this.queue.items[i]) < 0) {
+          this.removeFromQueue(i);
+        }
+      }
+      if (this.catalog.indexOf(this.queue.current()) < 0) {
+        this.queue = new MediaQueue();
+        this.queue.insert(this.mediaContents[this.currentMediaIndex]['id']);
+      }
+      this.renderQueue();
+    }.bind(this),
+    function (error) {
+      console.error('Catalog load error: ' + error.message);
+    });
+};
+
+/**
+ * Fetch the media feed again without reloading the page.
+ */
+CastPlayer.prototype.refreshCatalog = function () {
+  if (!MEDIA_FEED_URL) return;
+  this.loadCatalog(this.catalog.refresh());
+};
+
+/**
+ * Save the position of the current media for resuming later.
+ * @param {boolean} force Save even if little progress has been made since
+ *     the last save.
+ */
+CastPlayer.prototype.saveResumePosition = function (force) {
+  if (this.isLiveContent || this.isExternalMedia || !(this.mediaDuration > 0) ||
+    (this.playerState != PLAYER_STATE.PLAYING &&
+      this.playerState != PLAYER_STATE.PAUSED)) {
+    return;
+  }
+  if (!force &&
+    Math.abs(this.currentMediaTime - this.lastResumeSaveTime) < RESUME_SAVE_INTERVAL) {
+    return;
+  }
+
+  this.lastResumeSaveTime = this.currentMediaTime;
+  this.resumeStore.save(this.mediaContents[this.currentMediaIndex]['id'],
+    this.currentMediaTime, this.mediaDuration);
+  this.renderContinueWatching();
+};
+
+/**
+ * Redraw the "Continue watching" row from the saved resume positions.
+ */
+CastPlayer.prototype.renderContinueWatching = function () {
+  let list = document.getElementById('continue_watching_list');
+  list.innerHTML = '';
+
+  let ids = this.resumeStore.getIds().filter(function (id) {
+    return this.catalog.indexOf(id) >= 0;
+  }, this);
+  document.getElementById('continue_watching').style.display =
+    ids.length > 0 ? 'block' : 'none';
+
+  ids.forEach(function (id) {
+    let mediaIndex = this.catalog.indexOf(id);
+    let thumb = document.createElement('div');
+    thumb.className = 'thumb';
+    thumb.setAttribute('role', 'button');
+    thumb.setAttribute('aria-label', 'Continue watching ' +
+      this.mediaContents[mediaIndex]['title']);
+    thumb.tabIndex = 0;
+    thumb.innerHTML =
+      '<img src="' + this.mediaContents[mediaIndex]['thumb'] +
+      '" class="thumbnail">' +
+      '<div class="resume_progress"><div class="resume_progress_level" ' +
+      'style="width: ' + Math.round(100 * this.resumeStore.getProgress(id)) +
+      '%"></div></div>';
+    thumb.addEventListener('click', this.selectMedia.bind(this, mediaIndex));
+    list.appendChild(thumb);
+  }, this);
 };
 
 /**
  * Add video thumbnails div's to UI for media JSON contents
  */
 CastPlayer.prototype.addVideoThumbs = function () {
-  this.mediaContents = mediaJSON['media'];
   var ni = document.getElementById('carousel');
+  ni.innerHTML = '';
   var newdiv = null;
   var divIdName = null;
   for (var i = 0; i < this.mediaContents.length; i++) {
@@ -1598,21 +4539,48 @@ CastPlayer.prototype.addVideoThumbs = function () {
     divIdName = 'thumb' + i + 'Div';
     newdiv.setAttribute('id', divIdName);
     newdiv.setAttribute('class', 'thumb');
+    newdiv.setAttribute('role', 'button');
+    newdiv.setAttribute('aria-label', this.mediaContents[i]['title']);
+    newdiv.tabIndex = 0;
     newdiv.innerHTML =
-      '<img src="' + MEDIA_SOURCE_ROOT + this.mediaContents[i]['thumb'] +
+      '<img src="' + this.mediaContents[i]['thumb'] +
       '" class="thumbnail">';
     newdiv.addEventListener('click', this.selectMedia.bind(this, i));
+
+    let queueButton = document.createElement('div');
+    queueButton.className = 'queue_add';
+    queueButton.title = 'Add to queue';
+    queueButton.setAttribute('role', 'button');
+    queueButton.setAttribute('aria-label',
+      'Add ' + this.mediaContents[i]['title'] + ' to queue');
+    queueButton.tabIndex = 0;
+    queueButton.textContent = '+';
+    queueButton.addEventListener('click', function (index, event) {
+      event.stopPropagation();
+      this.addToQueue(index);
+    }.bind(this, i));
+    newdiv.appendChild(queueButton);
     ni.appendChild(newdiv);
   }
+  this.highlightCurrentThumb();
+};
+
+/**
+ * @param {chrome.cast.Error|chrome.cast.ErrorCode} error Framework promises
+ *     reject with a bare ErrorCode, callbacks receive a chrome.cast.Error.
+ * @return {chrome.cast.ErrorCode} error code
+ */
+CastPlayer.getErrorCode = function (error) {
+  return error && error.code ? error.code : error;
 };
 
 /**
  * Makes human-readable message from chrome.cast.Error
- * @param {chrome.cast.Error} error
+ * @param {chrome.cast.Error|chrome.cast.ErrorCode|Error} error
  * @return {string} error message
  */
 CastPlayer.getErrorMessage = function (error) {
-  switch (error.code) {
+  switch (CastPlayer.getErrorCode(error)) {
     case chrome.cast.ErrorCode.API_NOT_INITIALIZED:
       return 'The API is not initialized.' +
         (error.description ? ' :' + error.description : '');
@@ -1638,7 +4606,84 @@ CastPlayer.getErrorMessage = function (error) {
       return 'The operation timed out.' +
         (error.description ? ' :' + error.description : '');
     default:
-      return error;
+      return error instanceof Error ? error.message : error;
+  }
+};
+
+/**
+ * @param {?chrome.cast.media.MediaInfo} mediaInfo Live media of the
+ *     receiver.
+ * @return {?{startTimeInMedia: number, duration: ?number,
+ *     startAbsoluteTime: ?number}} Section set by the receiver in the
+ *     metadata, null if there is none.
+ */
+CastPlayer.getLiveSection = function (mediaInfo) {
+  let metadata = mediaInfo && mediaInfo.metadata;
+  if (!metadata || metadata.sectionStartTimeInMedia == undefined) return null;
+
+  return {
+    startTimeInMedia: metadata.sectionStartTimeInMedia,
+    duration: metadata.sectionDuration == undefined ? null : metadata.sectionDuration,
+    startAbsoluteTime: metadata.sectionStartAbsoluteTime == undefined ?
+      null : metadata.sectionStartAbsoluteTime
+  };
+};
+
+/**
+ * @param {number} seconds
+ * @return {string} Seconds left as m:ss, rounded up.
+ */
+CastPlayer.getCountdownString = function (seconds) {
+  seconds = Math.ceil(seconds);
+  return Math.floor(seconds / 60) + ':' + ('0' + seconds % 60).slice(-2);
+};
+
+/**
+ * @param {number} seconds Seconds behind live.
+ * @return {string} Latency as -mm:ss, or -h:mm:ss from an hour on.
+ */
+CastPlayer.getLatencyString = function (seconds) {
+  seconds = Math.round(seconds);
+  let hours = Math.floor(seconds / 3600);
+  let minutes = ('0' + Math.floor(seconds % 3600 / 60)).slice(-2);
+  return '-' + (hours ? hours + ':' : '') + minutes + ':' +
+    ('0' + seconds % 60).slice(-2);
+};
+
+/**
+ * @param {?Array<chrome.cast.Capability>} capabilities Receiver capabilities.
+ * @return {string} Human-readable list of the capabilities.
+ */
+CastPlayer.getCapabilitiesString = function (capabilities) {
+  let names = {};
+  names[chrome.cast.Capability.VIDEO_OUT] = 'Video';
+  names[chrome.cast.Capability.AUDIO_OUT] = 'Audio';
+  names[chrome.cast.Capability.VIDEO_IN] = 'Camera';
+  names[chrome.cast.Capability.AUDIO_IN] = 'Microphone';
+  names[chrome.cast.Capability.MULTIZONE_GROUP] = 'Speaker group';
+  return (capabilities || []).map(function (capability) {
+    return names[capability] || capability;
+  }).join(', ');
+};
+
+/**
+ * Makes human-readable message from the error of the video element
+ * @param {MediaError} error
+ * @return {string} error message
+ */
+CastPlayer.getMediaErrorMessage = function (error) {
+  switch (error.code) {
+    case MediaError.MEDIA_ERR_ABORTED:
+      return 'The media download was aborted.';
+    case MediaError.MEDIA_ERR_NETWORK:
+      return 'A network error interrupted the media download.';
+    case MediaError.MEDIA_ERR_DECODE:
+      return 'The media could not be decoded.';
+    case MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED:
+      return 'The media format is not supported.';
+    default:
+      return 'The media could not be played.' +
+        (error.message ? ' :' + error.message : '');
   }
 };
 
@@ -1648,3 +4693,9 @@ window['__onGCastApiAvailable'] = function (isAvailable) {
     castPlayer.initializeCastPlayer();
   }
 };
+
+export {
+  CAST_PLAYER_EVENT,
+  PLAYER_STATE,
+  castPlayer
+}
@@ -0,0 +1,76 @@
+// Copyright 2021 Google LLC. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Ad break tracker
+ *
+ * Decides which breaks of an AdSchedule the sender plays itself. A break is
+ * due once playback reaches or passes its position. When a seek passes
+ * several unwatched breaks, only the last one plays (snap-back); the ones
+ * before it play if playback crosses them again. The pre-roll always plays
+ * before content starts, even if playback starts past it. Every break plays
+ * once. Embedded breaks are part of the content and are not tracked.
+ * @param {!AdSchedule} schedule
+ * @struct @constructor
+ */
+var AdBreakTracker = function (schedule) {
+  /** @type {!AdSchedule} */
+  this.schedule = schedule;
+  /** @type {!Array<!Object>} Breaks played by the sender, in position order */
+  this.breaks = schedule.breaks.filter(function (adBreak) {
+    return !adBreak['isEmbedded'];
+  });
+  /** @type {!Object<string, boolean>} Ids of the breaks played already */
+  this.watched = {};
+};
+
+/**
+ * @param {number} from Content time playback continues from, negative
+ *     before content started.
+ * @param {number} to Content time playback continues at.
+ * @return {?Object} Unwatched break to play before continuing at to, null
+ *     if there is none. Post-rolls are not returned, see getPostRoll.
+ */
+AdBreakTracker.prototype.getBreakBetween = function (from, to) {
+  let due = this.breaks.filter(function (adBreak) {
+    let position = adBreak['position'];
+    return !this.watched[adBreak['id']] && position >= 0 &&
+      position > from && position <= to;
+  }, this);
+  if (!due.length) return null;
+
+  return from < 0 && due[0]['position'] == 0 ? due[0] : due[due.length - 1];
+};
+
+/**
+ * @return {?Object} Unwatched post-roll, null if there is none.
+ */
+AdBreakTracker.prototype.getPostRoll = function () {
+  return this.breaks.find(function (adBreak) {
+    return adBreak['position'] < 0 && !this.watched[adBreak['id']];
+  }, this) || null;
+};
+
+/**
+ * @param {string} breakId
+ */
+AdBreakTracker.prototype.markWatched = function (breakId) {
+  this.watched[breakId] = true;
+};
+
+export {
+  AdBreakTracker
+}
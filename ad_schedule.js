@@ -0,0 +1,490 @@
+// Copyright 2021 Google LLC. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Break position of post-rolls.
+ * @const {number}
+ */
+const POST_ROLL = -1;
+
+/**
+ * Ad schedule
+ *
+ * Breaks and break clips of one title. Two formats are supported:
+ *  - JSON: {'breakClips': [...], 'breaks': [...]} in the shape of ads.js.
+ *    Clips have an id and either a contentUrl and contentType or a
+ *    vastAdsRequest {adTagUrl}, plus optional title, duration, whenSkippable
+ *    and clickThroughUrl. localContentUrl and localContentType name a
+ *    source for the page to play instead, e.g. a progressive MP4 of a DASH
+ *    clip; the receiver is only given contentUrl. Breaks have an id, breakClipIds and a position in
+ *    seconds, 0 for pre-rolls and -1 for post-rolls, and may be isEmbedded
+ *    with a duration.
+ *  - VMAP 1.0: every AdBreak becomes a break. Its AdSource is either an
+ *    AdTagURI, which becomes a VAST clip played by the receiver, or inline
+ *    VASTAdData whose linear ads become clips. timeOffset may be start, end,
+ *    hh:mm:ss[.mmm] or a percentage of the duration.
+ *
+ * Clips and breaks that fail validation are left out and reported in errors,
+ * so are breaks with a clip that does not resolve or a position outside of
+ * the content. Relative URLs are resolved against the schedule URL.
+ * @param {?number=} duration Content duration in seconds, positions are not
+ *     range checked if unknown.
+ * @struct @constructor
+ */
+var AdSchedule = function (duration) {
+  /** @type {?number} Content duration in seconds */
+  this.duration = typeof duration === 'number' && duration > 0 ? duration : null;
+  /** @type {!Array<!Object>} Valid break clips */
+  this.breakClips = [];
+  /** @type {!Array<!Object>} Valid breaks, in position order */
+  this.breaks = [];
+  /**
+   * @type {!Array<{id: ?string, reason: string}>}
+   * Clips and breaks rejected by the last parse
+   */
+  this.errors = [];
+};
+
+/**
+ * Fetch and parse a schedule.
+ * @param {string} url
+ * @return {!Promise<!AdSchedule>} Resolves with this schedule.
+ */
+AdSchedule.prototype.load = function (url) {
+  return fetch(url).then(function (response) {
+    if (!response.ok) {
+      throw new Error('Ad schedule request failed with status ' + response.status);
+    }
+    return response.text();
+  }).then(function (text) {
+    return this.parse(text, new URL(url, document.baseURI).href);
+  }.bind(this));
+};
+
+/**
+ * Parse a schedule of either supported format and replace the breaks.
+ * @param {string|!Object} source VMAP or JSON text, or a JSON object.
+ * @param {?string=} baseUrl Base URL for relative URLs.
+ * @return {!AdSchedule} This schedule.
+ */
+AdSchedule.prototype.parse = function (source, baseUrl) {
+  let candidates;
+  if (typeof source === 'string' && source.trim().charAt(0) == '<') {
+    candidates = this.fromVmap(source, baseUrl || null);
+  } else {
+    let json = typeof source === 'string' ? JSON.parse(source) : source;
+    if (!json || !Array.isArray(json['breaks'])) {
+      throw new Error('Unrecognized ad schedule format.');
+    }
+    candidates = {
+      breakClips: (json['breakClips'] || []).map(function (clip) {
+        return normalizeClip(clip, baseUrl || null);
+      }),
+      breaks: json['breaks'].map(normalizeBreak),
+      errors: []
+    };
+  }
+
+  this.breakClips = [];
+  this.breaks = [];
+  this.errors = candidates.errors;
+  let clipIds = {};
+  candidates.breakClips.forEach(function (clip) {
+    let reason = clipIds[clip['id']] ? 'Duplicate clip id.' : validateClip(clip);
+    if (reason) {
+      this.errors.push({ id: clip['id'] || null, reason: reason });
+      return;
+    }
+    clipIds[clip['id']] = true;
+    this.breakClips.push(clip);
+  }, this);
+
+  let breakIds = {};
+  candidates.breaks.forEach(function (adBreak) {
+    let reason = breakIds[adBreak['id']] ? 'Duplicate break id.' :
+      validateBreak(adBreak, clipIds, this.duration);
+    if (reason) {
+      this.errors.push({ id: adBreak['id'] || null, reason: reason });
+      return;
+    }
+    breakIds[adBreak['id']] = true;
+    this.breaks.push(adBreak);
+  }, this);
+  this.breaks.sort(function (a, b) {
+    return comparePositions(a['position'], b['position']);
+  });
+
+  // Clips no break plays are not sent to the receiver.
+  this.breakClips = this.breakClips.filter(function (clip) {
+    return this.breaks.some(function (adBreak) {
+      return adBreak['breakClipIds'].indexOf(clip['id']) >= 0;
+    });
+  }, this);
+  return this;
+};
+
+/**
+ * @param {string} text VMAP document.
+ * @param {?string} baseUrl
+ * @return {{breakClips: !Array<!Object>, breaks: !Array<!Object>,
+ *     errors: !Array<{id: ?string, reason: string}>}} Normalized clips and
+ *     breaks, and the ad breaks that could not be converted.
+ */
+AdSchedule.prototype.fromVmap = function (text, baseUrl) {
+  let doc = new DOMParser().parseFromString(text, 'application/xml');
+  let root = doc.documentElement;
+  if (!root || root.localName != 'VMAP' || doc.getElementsByTagName('parsererror').length) {
+    throw new Error('Unrecognized ad schedule format.');
+  }
+
+  let result = { breakClips: [], breaks: [], errors: [] };
+  childElements(root, 'AdBreak').forEach(function (element, index) {
+    let id = element.getAttribute('breakId') || 'vmap' + index;
+    let position = parseTimeOffset(element.getAttribute('timeOffset'), this.duration);
+    if (position === null) {
+      result.errors.push({
+        id: id,
+        reason: 'Unsupported time offset ' + element.getAttribute('timeOffset') + '.'
+      });
+      return;
+    }
+    if (element.getAttribute('breakType') &&
+      element.getAttribute('breakType').split(',').indexOf('linear') < 0) {
+      result.errors.push({ id: id, reason: 'Only linear breaks are supported.' });
+      return;
+    }
+
+    let source = childElements(element, 'AdSource')[0];
+    let clips = source ? clipsFromAdSource(source, id, baseUrl) : [];
+    if (!clips.length) {
+      result.errors.push({ id: id, reason: 'No ad tag URI or linear ad.' });
+      return;
+    }
+    result.breakClips = result.breakClips.concat(clips);
+    result.breaks.push({
+      'id': id,
+      'breakClipIds': clips.map(function (clip) {
+        return clip['id'];
+      }),
+      'position': position,
+      'isEmbedded': false,
+      'duration': null
+    });
+  }, this);
+  return result;
+};
+
+/**
+ * Get a clip that can be played by the sender. VAST clips are requested
+ * and replaced by their first inline linear ad.
+ * @param {string} clipId
+ * @return {!Promise<?Object>} Resolves with the normalized clip, null if the
+ *     clip is unknown or the VAST response has no valid linear ad.
+ */
+AdSchedule.prototype.resolveClip = function (clipId) {
+  let clip = this.breakClips.find(function (breakClip) {
+    return breakClip['id'] == clipId;
+  });
+  if (!clip || !clip['vastAdsRequest']) {
+    return Promise.resolve(clip || null);
+  }
+
+  let adTagUrl = clip['vastAdsRequest']['adTagUrl'];
+  return fetch(adTagUrl).then(function (response) {
+    if (!response.ok) {
+      throw new Error('VAST request failed with status ' + response.status);
+    }
+    return response.text();
+  }).then(function (text) {
+    let vast = new DOMParser().parseFromString(text, 'application/xml').documentElement;
+    if (!vast || vast.localName != 'VAST') {
+      throw new Error('Unrecognized VAST response.');
+    }
+    let ad = clipsFromVast(vast, clipId, adTagUrl).find(function (vastClip) {
+      return !validateClip(vastClip);
+    });
+    return ad ? Object.assign(ad, { 'id': clipId }) : null;
+  });
+};
+
+/**
+ * Set the breaks of media to be loaded.
+ * @param {!chrome.cast.media.MediaInfo} mediaInfo
+ */
+AdSchedule.prototype.applyTo = function (mediaInfo) {
+  mediaInfo.breakClips = this.breakClips.map(function (entry) {
+    let clip = new chrome.cast.media.BreakClip(entry['id']);
+    if (entry['vastAdsRequest']) {
+      clip.vastAdsRequest = new chrome.cast.media.VastAdsRequest();
+      clip.vastAdsRequest.adTagUrl = entry['vastAdsRequest']['adTagUrl'];
+    } else {
+      clip.contentUrl = entry['contentUrl'];
+      clip.contentType = entry['contentType'];
+    }
+    ['title', 'duration', 'whenSkippable', 'clickThroughUrl'].forEach(function (key) {
+      if (entry[key] != null) {
+        clip[key] = entry[key];
+      }
+    });
+    return clip;
+  });
+  mediaInfo.breaks = this.breaks.map(function (entry) {
+    let adBreak = new chrome.cast.media.Break(entry['id'],
+      entry['breakClipIds'], entry['position']);
+    adBreak.isEmbedded = entry['isEmbedded'];
+    if (entry['duration'] != null) {
+      adBreak.duration = entry['duration'];
+    }
+    return adBreak;
+  });
+};
+
+/**
+ * @param {!Element} source AdSource of a VMAP AdBreak.
+ * @param {string} breakId
+ * @param {?string} baseUrl
+ * @return {!Array<!Object>} Normalized clips of the ad source.
+ */
+function clipsFromAdSource(source, breakId, baseUrl) {
+  let adTag = childElements(source, 'AdTagURI')[0];
+  if (adTag) {
+    return [normalizeClip({
+      'id': source.getAttribute('id') || breakId + '-0',
+      'vastAdsRequest': { 'adTagUrl': adTag.textContent.trim() }
+    }, baseUrl)];
+  }
+
+  let adData = childElements(source, 'VASTAdData')[0];
+  let vast = adData && childElements(adData, 'VAST')[0];
+  return vast ? clipsFromVast(vast, breakId, baseUrl) : [];
+}
+
+/**
+ * @param {!Element} vast VAST document element.
+ * @param {string} idPrefix Prefix of the ids of ads without one.
+ * @param {?string} baseUrl
+ * @return {!Array<!Object>} Normalized clips of the inline linear ads.
+ */
+function clipsFromVast(vast, idPrefix, baseUrl) {
+  let clips = [];
+  childElements(vast, 'Ad').forEach(function (ad) {
+    let inline = childElements(ad, 'InLine')[0];
+    let linear = inline && inline.querySelector('Creative > Linear');
+    if (!linear) return;
+
+    // The receiver plays the first media file, the page a progressive one.
+    let mediaFile = linear.querySelector('MediaFile');
+    if (!mediaFile) return;
+    let localFile = linear.querySelector('MediaFile[delivery="progressive"]');
+    if (localFile === mediaFile) {
+      localFile = null;
+    }
+
+    let clickThrough = linear.querySelector('VideoClicks > ClickThrough');
+    let title = childElements(inline, 'AdTitle')[0];
+    let durationElement = childElements(linear, 'Duration')[0];
+    let duration = durationElement ? parseClockTime(durationElement.textContent) : null;
+    let skipOffset = linear.getAttribute('skipoffset');
+    clips.push(normalizeClip({
+      'id': ad.getAttribute('id') || idPrefix + '-' + clips.length,
+      'title': title ? title.textContent.trim() : null,
+      'contentUrl': mediaFile.textContent.trim(),
+      'contentType': mediaFile.getAttribute('type'),
+      'localContentUrl': localFile ? localFile.textContent.trim() : null,
+      'localContentType': localFile ? localFile.getAttribute('type') : null,
+      'clickThroughUrl': clickThrough ? clickThrough.textContent.trim() : null,
+      'duration': duration,
+      'whenSkippable': skipOffset ? parseTimeOffset(skipOffset, duration) : null
+    }, baseUrl));
+  });
+  return clips;
+}
+
+/**
+ * @param {!Element} parent
+ * @param {string} localName Name without namespace prefix.
+ * @return {!Array<!Element>} Child elements of the name.
+ */
+function childElements(parent, localName) {
+  return Array.prototype.filter.call(parent.children, function (child) {
+    return child.localName == localName;
+  });
+}
+
+/**
+ * @param {?string} offset VMAP timeOffset or VAST skipoffset.
+ * @param {?number} duration Duration percentages are relative to.
+ * @return {?number} Position in seconds, -1 for the end, null if
+ *     unsupported or malformed.
+ */
+function parseTimeOffset(offset, duration) {
+  if (!offset) return null;
+
+  offset = offset.trim();
+  if (offset == 'start') return 0;
+  if (offset == 'end') return POST_ROLL;
+
+  let percent = offset.match(/^(\d+(?:\.\d+)?)%$/);
+  if (percent) {
+    return duration ? duration * parseFloat(percent[1]) / 100 : null;
+  }
+  return parseClockTime(offset);
+}
+
+/**
+ * @param {string} value Time as hh:mm:ss or hh:mm:ss.mmm.
+ * @return {?number} Time in seconds, null if malformed.
+ */
+function parseClockTime(value) {
+  let match = value.trim().match(/^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/);
+  if (!match) return null;
+  return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 +
+    parseFloat(match[3]);
+}
+
+/**
+ * Order of break positions, post-rolls last.
+ * @param {number} a
+ * @param {number} b
+ * @return {number}
+ */
+function comparePositions(a, b) {
+  if (a == POST_ROLL) return b == POST_ROLL ? 0 : 1;
+  if (b == POST_ROLL) return -1;
+  return a - b;
+}
+
+/**
+ * @param {?string} url Absolute or relative URL.
+ * @param {?string} baseUrl Base URL for relative URLs.
+ * @return {?string} Absolute URL, null if it cannot be resolved.
+ */
+function resolveUrl(url, baseUrl) {
+  if (!url) return null;
+  try {
+    return new URL(url, baseUrl || undefined).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * @param {!Object} clip A break clip of a schedule.
+ * @param {?string} baseUrl
+ * @return {!Object} Normalized break clip.
+ */
+function normalizeClip(clip, baseUrl) {
+  let vastAdsRequest = clip['vastAdsRequest'];
+  return {
+    'id': clip['id'],
+    'title': clip['title'] || null,
+    'contentUrl': vastAdsRequest ? null : resolveUrl(clip['contentUrl'], baseUrl),
+    'contentType': vastAdsRequest ? null : clip['contentType'] || null,
+    'localContentUrl': vastAdsRequest ? null :
+      resolveUrl(clip['localContentUrl'], baseUrl),
+    'localContentType': vastAdsRequest ? null : clip['localContentType'] || null,
+    'vastAdsRequest': vastAdsRequest ?
+      { 'adTagUrl': resolveUrl(vastAdsRequest['adTagUrl'], baseUrl) } : null,
+    'clickThroughUrl': resolveUrl(clip['clickThroughUrl'], baseUrl),
+    'duration': clip['duration'] == null ? null : clip['duration'],
+    'whenSkippable': clip['whenSkippable'] == null ? null : clip['whenSkippable']
+  };
+}
+
+/**
+ * @param {!Object} adBreak A break of a JSON schedule.
+ * @return {!Object} Normalized break.
+ */
+function normalizeBreak(adBreak) {
+  return {
+    'id': adBreak['id'],
+    'breakClipIds': adBreak['breakClipIds'],
+    'position': adBreak['position'],
+    'isEmbedded': !!adBreak['isEmbedded'],
+    'duration': adBreak['duration'] == null ? null : adBreak['duration']
+  };
+}
+
+/**
+ * @param {!Object} clip Normalized break clip.
+ * @return {?string} Reason the clip is invalid, null if valid.
+ */
+function validateClip(clip) {
+  if (typeof clip['id'] !== 'string' || !clip['id']) {
+    return 'Missing clip id.';
+  }
+  if (clip['vastAdsRequest']) {
+    if (!clip['vastAdsRequest']['adTagUrl']) {
+      return 'Missing or unresolvable ad tag URL.';
+    }
+  } else {
+    if (!clip['contentUrl']) {
+      return 'Missing or unresolvable content URL.';
+    }
+    if (typeof clip['contentType'] !== 'string' || !clip['contentType']) {
+      return 'Missing content type.';
+    }
+    if (clip['localContentUrl'] && !clip['localContentType']) {
+      return 'Missing local content type.';
+    }
+  }
+  if (clip['duration'] !== null &&
+    (typeof clip['duration'] !== 'number' || !(clip['duration'] > 0))) {
+    return 'Invalid duration.';
+  }
+  if (clip['whenSkippable'] !== null &&
+    (typeof clip['whenSkippable'] !== 'number' || clip['whenSkippable'] < 0)) {
+    return 'Invalid whenSkippable.';
+  }
+  return null;
+}
+
+/**
+ * @param {!Object} adBreak Normalized break.
+ * @param {!Object<string, boolean>} clipIds Ids of the valid clips.
+ * @param {?number} duration Content duration in seconds, if known.
+ * @return {?string} Reason the break is invalid, null if valid.
+ */
+function validateBreak(adBreak, clipIds, duration) {
+  if (typeof adBreak['id'] !== 'string' || !adBreak['id']) {
+    return 'Missing break id.';
+  }
+  if (!Array.isArray(adBreak['breakClipIds']) || !adBreak['breakClipIds'].length) {
+    return 'No break clips.';
+  }
+  let missing = adBreak['breakClipIds'].find(function (clipId) {
+    return !clipIds[clipId];
+  });
+  if (missing !== undefined) {
+    return 'Break clip ' + missing + ' does not resolve to a valid clip.';
+  }
+  let position = adBreak['position'];
+  if (typeof position !== 'number' || (position < 0 && position != POST_ROLL)) {
+    return 'Invalid position.';
+  }
+  if (duration !== null && position > duration) {
+    return 'Position ' + position + ' is beyond the content duration ' + duration + '.';
+  }
+  if (adBreak['isEmbedded'] &&
+    (typeof adBreak['duration'] !== 'number' || !(adBreak['duration'] > 0))) {
+    return 'Embedded breaks need a duration.';
+  }
+  return null;
+}
+
+export {
+  AdSchedule
+}
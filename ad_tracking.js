@@ -0,0 +1,197 @@
+// Copyright 2021 Google LLC. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/** @enum {string} Ad events reported to the tracking sink, named as in VAST */
+const AD_TRACKING_EVENT = {
+  // The clip is shown.
+  IMPRESSION: 'impression',
+  // The first frame of the clip played.
+  START: 'start',
+  FIRST_QUARTILE: 'firstQuartile',
+  MIDPOINT: 'midpoint',
+  THIRD_QUARTILE: 'thirdQuartile',
+  // The clip played to the end.
+  COMPLETE: 'complete',
+  // The viewer skipped the clip.
+  SKIP: 'skip',
+  // The viewer opened the click-through URL.
+  CLICK: 'click'
+};
+
+/**
+ * Progress events and the fraction of the clip at which they fire.
+ * @const {!Array<{event: AD_TRACKING_EVENT, fraction: number}>}
+ */
+const QUARTILES = [
+  { event: AD_TRACKING_EVENT.FIRST_QUARTILE, fraction: 0.25 },
+  { event: AD_TRACKING_EVENT.MIDPOINT, fraction: 0.5 },
+  { event: AD_TRACKING_EVENT.THIRD_QUARTILE, fraction: 0.75 }
+];
+
+/**
+ * Seconds before the end of a clip within which a clip that stops is
+ * considered complete. The receiver reports the clip time about once a
+ * second.
+ * @const {number}
+ */
+const COMPLETE_TOLERANCE = 1.5;
+
+/**
+ * Ad tracker
+ *
+ * Turns the break and clip changes of the player into ad tracking events.
+ * Each event is sent once per clip to the sink as a beacon:
+ *   {event, breakId, breakClipId, clipTime, clipDuration, timestamp}
+ * clipDuration is null for clips of unknown duration, which do not report
+ * quartiles.
+ * @param {function(!Object)} sink Receives the beacons.
+ * @struct @constructor
+ */
+var AdTracker = function (sink) {
+  /** @type {function(!Object)} */
+  this.sink = sink;
+  /** @type {?string} Id of the break of the current clip */
+  this.breakId = null;
+  /** @type {?{id: string, duration: ?number}} Clip being played, null between clips */
+  this.clip = null;
+  /** @type {number} Last reported time in the current clip */
+  this.clipTime = 0;
+  /** @type {?number} Duration of the current clip, if known */
+  this.clipDuration = null;
+  /** @type {!Object<string, boolean>} Events sent for the current clip */
+  this.sent = {};
+};
+
+/**
+ * End the previous clip and report the impression of a new one.
+ * @param {?string} breakId Break the clip is played in.
+ * @param {{id: string, duration: ?number}} clip
+ */
+AdTracker.prototype.startClip = function (breakId, clip) {
+  this.endClip();
+  this.breakId = breakId;
+  this.clip = clip;
+  this.clipTime = 0;
+  this.clipDuration = clip.duration > 0 ? clip.duration : null;
+  this.sent = {};
+  this.send(AD_TRACKING_EVENT.IMPRESSION);
+};
+
+/**
+ * Report the progress of the current clip.
+ * @param {number} clipTime Seconds played of the clip.
+ * @param {?number=} clipDuration Duration of the clip, if it became known.
+ */
+AdTracker.prototype.updateTime = function (clipTime, clipDuration) {
+  if (!this.clip || !(clipTime >= 0)) return;
+
+  if (clipDuration > 0 && isFinite(clipDuration)) {
+    this.clipDuration = clipDuration;
+  }
+  this.clipTime = clipTime;
+  this.send(AD_TRACKING_EVENT.START);
+  if (this.clipDuration === null) return;
+
+  QUARTILES.forEach(function (quartile) {
+    if (clipTime >= quartile.fraction * this.clipDuration) {
+      this.send(quartile.event);
+    }
+  }, this);
+};
+
+/**
+ * Report that the viewer skipped the current clip.
+ */
+AdTracker.prototype.skip = function () {
+  this.send(AD_TRACKING_EVENT.SKIP);
+};
+
+/**
+ * Report that the viewer opened the click-through URL of the current clip.
+ */
+AdTracker.prototype.click = function () {
+  this.send(AD_TRACKING_EVENT.CLICK);
+};
+
+/**
+ * End the current clip. It is complete if it started, was not skipped and
+ * played close to its end.
+ */
+AdTracker.prototype.endClip = function () {
+  if (!this.clip) return;
+
+  let reachedEnd = this.clipDuration === null ||
+    this.clipTime >= this.clipDuration - COMPLETE_TOLERANCE;
+  if (this.sent[AD_TRACKING_EVENT.START] && !this.sent[AD_TRACKING_EVENT.SKIP] &&
+    reachedEnd) {
+    QUARTILES.forEach(function (quartile) {
+      this.send(quartile.event);
+    }, this);
+    this.send(AD_TRACKING_EVENT.COMPLETE);
+  }
+  this.clip = null;
+};
+
+/**
+ * Send an event of the current clip, once.
+ * @param {AD_TRACKING_EVENT} event
+ */
+AdTracker.prototype.send = function (event) {
+  if (!this.clip || this.sent[event]) return;
+
+  this.sent[event] = true;
+  try {
+    this.sink({
+      event: event,
+      breakId: this.breakId,
+      breakClipId: this.clip.id,
+      clipTime: this.clipTime,
+      clipDuration: this.clipDuration,
+      timestamp: Date.now()
+    });
+  } catch (e) {
+    console.error('Error in ad tracking sink: ', e);
+  }
+};
+
+/**
+ * @param {string} url Endpoint the beacons are posted to as JSON.
+ * @return {function(!Object)} Sink for AdTracker.
+ */
+function createBeaconSink(url) {
+  return function (beacon) {
+    let body = new Blob([JSON.stringify(beacon)], { type: 'application/json' });
+    if (!navigator.sendBeacon(url, body)) {
+      console.warn('Ad tracking beacon not queued: ' + beacon.event);
+    }
+  };
+}
+
+/**
+ * Sink for AdTracker that logs the beacons.
+ * @param {!Object} beacon
+ */
+function consoleSink(beacon) {
+  console.log('Ad ' + beacon.event + ': ' + beacon.breakId + '/' +
+    beacon.breakClipId + ' at ' + beacon.clipTime);
+}
+
+export {
+  AD_TRACKING_EVENT,
+  AdTracker,
+  consoleSink,
+  createBeaconSink
+}
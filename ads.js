@@ -19,6 +19,9 @@
  *
  * For Vast ads, the CAF receiver SDK generates a new BreakClip object after
  * parsing the specified adTagUrl.
+ *
+ * The page plays breaks itself without a Cast session and cannot play DASH,
+ * so clips carry the progressive MP4 of the catalog as localContentUrl.
  */
 let breakClipsJSON = [{
   id: 'bc0',
@@ -30,6 +33,8 @@ let breakClipsJSON = [{
   whenSkippable: 4,
   contentUrl: 'https://storage.googleapis.com/cpe-sample-media/content/ads/for_bigger_blazes/for_bigger_blazes_m4s_master.mpd',
   contentType: 'application/dash+xml',
+  localContentUrl: 'https://storage.googleapis.com/cpe-sample-media/content/ads/for_bigger_blazes/prog/for_bigger_blazes_prog.mp4',
+  localContentType: 'video/mp4',
   clickThroughUrl: 'https://store.google.com/us/product/chromecast',
   title: 'For Bigger Blazes - Skippable'
 }, {
@@ -46,6 +51,8 @@ let breakClipsJSON = [{
   id: 'bc4',
   contentUrl: 'https://storage.googleapis.com/cpe-sample-media/content/ads/for_bigger_escapes/for_bigger_escapes_m4s_master.mpd',
   contentType: 'application/dash+xml',
+  localContentUrl: 'https://storage.googleapis.com/cpe-sample-media/content/ads/for_bigger_escapes/prog/for_bigger_escapes_prog.mp4',
+  localContentType: 'video/mp4',
   clickThroughUrl: 'https://store.google.com/us/product/chromecast',
   title: 'For Bigger Escape'
 }, {
@@ -53,6 +60,8 @@ let breakClipsJSON = [{
   whenSkippable: 7,
   contentUrl: 'https://storage.googleapis.com/cpe-sample-media/content/ads/for_bigger_meltdowns/for_bigger_meltdowns_m4s_master.mpd',
   contentType: 'application/dash+xml',
+  localContentUrl: 'https://storage.googleapis.com/cpe-sample-media/content/ads/for_bigger_meltdowns/prog/for_bigger_meltdowns_prog.mp4',
+  localContentType: 'video/mp4',
   clickThroughUrl: 'https://store.google.com/us/product/chromecast',
   title: 'For Bigger Meltdowns - Skippable'
 }, {
@@ -60,6 +69,8 @@ let breakClipsJSON = [{
   whenSkippable: 3,
   contentUrl: 'https://storage.googleapis.com/cpe-sample-media/content/ads/for_bigger_joyrides/for_bigger_joyrides_m4s_master.mpd',
   contentType: 'application/dash+xml',
+  localContentUrl: 'https://storage.googleapis.com/cpe-sample-media/content/ads/for_bigger_joyrides/prog/for_bigger_joyrides_prog.mp4',
+  localContentType: 'video/mp4',
   clickThroughUrl: 'https://store.google.com/us/product/chromecast',
   title: 'For Bigger Joyrides - Skippable'
 }];
@@ -0,0 +1,502 @@
+// Copyright 2021 Google LLC. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Content types for the source types used in the categories feed.
+ * @const {!Object<string, string>}
+ */
+const SOURCE_CONTENT_TYPES = {
+  'mp4': 'video/mp4',
+  'hls': 'application/x-mpegurl',
+  'dash': 'application/dash+xml'
+};
+
+/**
+ * Preferred order of source types when a video lists several. Progressive
+ * mp4 comes first since it can be played by the local video element as well.
+ * @const {!Array<string>}
+ */
+const SOURCE_TYPE_PREFERENCE = ['mp4', 'hls', 'dash'];
+
+/**
+ * Content types of text tracks, by file extension.
+ * @const {!Object<string, string>}
+ */
+const TRACK_CONTENT_TYPES = {
+  'vtt': 'text/vtt',
+  'ttml': 'application/ttml+xml',
+  'dfxp': 'application/ttml+xml',
+  'xml': 'application/ttml+xml'
+};
+
+/**
+ * Media catalog
+ *
+ * Provides the list of media entries shown in the carousel. Entries come
+ * either from an in-memory JSON object (see media.js) or from a remote feed.
+ * Two feed shapes are supported:
+ *  - Flat: {'media': [{title, subtitle, contentUrl, contentType, thumb, duration}]}
+ *    Relative URLs are resolved against the feed URL, or the catalog base
+ *    URL for in-memory JSON.
+ *  - Categories: {'categories': [{name, mp4, hls, dash, images, videos}]}
+ *    Each video lists its 'sources' ({type, mime, url}), which are resolved
+ *    against the category base URL for that source type. Thumbnails are
+ *    resolved against the category 'images' base URL.
+ *
+ * Entries of both shapes may list text tracks:
+ *   'tracks': [{id, subtype, contentId, contentType, language, name}]
+ * where subtype is 'subtitles' or 'captions' and contentId is the URL of a
+ * WebVTT or TTML file. In the categories shape, track URLs are resolved
+ * against the category 'tracks' base URL.
+ *
+ * Entries may also reference trick-play thumbnails, either a WebVTT
+ * thumbnail track:
+ *   'thumbnails': 'thumbnails.vtt'
+ * or a sprite sheet with one tile every interval seconds:
+ *   'thumbnails': {url, width, height, columns, interval, count}
+ * where count is optional. In the categories shape, thumbnail URLs are
+ * resolved against the category 'images' base URL. See ThumbnailTrack.
+ *
+ * Entries may have their own ad schedule, the URL of a VMAP or JSON
+ * schedule:
+ *   'adSchedule': 'schedules/big_buck_bunny.xml'
+ * In the categories shape, it is resolved against the category 'ads' base
+ * URL. See AdSchedule.
+ *
+ * Live streams declare their stream type, and optionally the seconds of
+ * DVR window the viewer may seek back in and the programs on air:
+ *   'streamType': 'LIVE',
+ *   'dvrWindow': 1800,
+ *   'programs': [{title, start, end}]
+ * where start and end are ISO 8601 dates or seconds since the epoch. The
+ * stream type is 'BUFFERED' if not set. Live entries have no duration.
+ *
+ * All URLs of the resulting entries are absolute. Entries that fail
+ * validation are left out and reported in errors, so that one bad entry
+ * does not break the carousel.
+ * @param {string} baseUrl Base URL for relative paths of in-memory JSON.
+ * @struct @constructor
+ */
+var MediaCatalog = function (baseUrl) {
+  /** @type {string} Base URL for relative paths of in-memory JSON */
+  this.baseUrl = baseUrl;
+  /** @type {?string} URL of the last loaded feed */
+  this.feedUrl = null;
+  /** @type {!Array<!Object>} Valid media entries */
+  this.media = [];
+  /**
+   * @type {!Array<{index: number, title: ?string, reason: string}>}
+   * Entries and tracks rejected by the last parse
+   */
+  this.errors = [];
+};
+
+/**
+ * Fetch and parse a remote feed.
+ * @param {string} feedUrl
+ * @return {!Promise<!Array<!Object>>} Resolves with the valid media entries.
+ */
+MediaCatalog.prototype.load = function (feedUrl) {
+  this.feedUrl = feedUrl;
+  return fetch(feedUrl, { cache: 'no-cache' }).then(function (response) {
+    if (!response.ok) {
+      throw new Error('Feed request failed with status ' + response.status);
+    }
+    return response.json();
+  }).then(function (json) {
+    return this.parse(json, feedUrl);
+  }.bind(this));
+};
+
+/**
+ * Fetch the last loaded feed again.
+ * @return {!Promise<!Array<!Object>>} Resolves with the valid media entries.
+ */
+MediaCatalog.prototype.refresh = function () {
+  if (!this.feedUrl) {
+    return Promise.reject(new Error('No feed has been loaded.'));
+  }
+  return this.load(this.feedUrl);
+};
+
+/**
+ * Parse a feed object of either supported shape and replace the entries.
+ * A feed without valid entries keeps the previous ones.
+ * @param {!Object} json
+ * @param {?string=} baseUrl Base URL for relative paths of the flat shape,
+ *     the catalog base URL if not set.
+ * @return {!Array<!Object>} The valid media entries of the feed.
+ */
+MediaCatalog.prototype.parse = function (json, baseUrl) {
+  let candidates = [];
+  if (json && Array.isArray(json['categories'])) {
+    json['categories'].forEach(function (category) {
+      if (!isObject(category) || !Array.isArray(category['videos'])) return;
+      category['videos'].forEach(function (video) {
+        candidates.push(isObject(video) ?
+          this.fromCategoryVideo(video, category) : null);
+      }, this);
+    }, this);
+  } else if (json && Array.isArray(json['media'])) {
+    candidates = json['media'].map(function (entry) {
+      return isObject(entry) ?
+        this.fromFlatEntry(entry, baseUrl || this.baseUrl) : null;
+    }, this);
+  } else {
+    throw new Error('Unrecognized feed format.');
+  }
+
+  let media = [];
+  this.errors = [];
+  candidates.forEach(function (entry, index) {
+    let reason = entry ? validateEntry(entry) : 'Not an object.';
+    if (reason) {
+      this.errors.push({
+        index: index,
+        title: entry && typeof entry['title'] === 'string' ? entry['title'] : null,
+        reason: reason
+      });
+      return;
+    }
+
+    entry['tracks'] = entry['tracks'].filter(function (track, trackIndex) {
+      let trackReason = track ? validateTrack(track) : 'Not an object.';
+      if (trackReason) {
+        this.errors.push({
+          index: index,
+          title: entry['title'],
+          reason: 'Track ' + trackIndex + ': ' + trackReason
+        });
+      }
+      return !trackReason;
+    }, this);
+
+    entry['programs'] = entry['programs'].filter(function (program, programIndex) {
+      let programReason = program ? validateProgram(program) : 'Not an object.';
+      if (programReason) {
+        this.errors.push({
+          index: index,
+          title: entry['title'],
+          reason: 'Program ' + programIndex + ': ' + programReason
+        });
+      }
+      return !programReason;
+    }, this).sort(function (a, b) {
+      return a['startTime'] - b['startTime'];
+    });
+
+    let thumbnailsReason = entry['thumbnails'] &&
+      validateThumbnails(entry['thumbnails']);
+    if (thumbnailsReason) {
+      this.errors.push({
+        index: index,
+        title: entry['title'],
+        reason: 'Thumbnails: ' + thumbnailsReason
+      });
+      entry['thumbnails'] = null;
+    }
+    media.push(entry);
+  }, this);
+
+  if (media.length > 0) {
+    this.media = media;
+  }
+  return media;
+};
+
+/**
+ * @param {!Object} entry An entry of a flat feed.
+ * @param {string} baseUrl Base URL for relative paths.
+ * @return {!Object} Normalized media entry.
+ */
+MediaCatalog.prototype.fromFlatEntry = function (entry, baseUrl) {
+  let contentUrl = resolveUrl(entry['contentUrl'], baseUrl);
+  return {
+    'id': entry['id'] || contentUrl,
+    'title': entry['title'],
+    'subtitle': entry['subtitle'] || '',
+    'contentUrl': contentUrl,
+    'contentType': entry['contentType'],
+    'thumb': resolveUrl(entry['thumb'], baseUrl),
+    'duration': entry['duration'],
+    'tracks': normalizeTracks(entry['tracks'], baseUrl),
+    'thumbnails': normalizeThumbnails(entry['thumbnails'], baseUrl),
+    'adSchedule': resolveUrl(entry['adSchedule'], baseUrl),
+    'streamType': normalizeStreamType(entry['streamType']),
+    'dvrWindow': entry['dvrWindow'],
+    'programs': normalizePrograms(entry['programs'])
+  };
+};
+
+/**
+ * @param {!Object} video A video of a categories feed.
+ * @param {!Object} category The category the video belongs to.
+ * @return {!Object} Normalized media entry.
+ */
+MediaCatalog.prototype.fromCategoryVideo = function (video, category) {
+  let sources = Array.isArray(video['sources']) ?
+    video['sources'].filter(isObject) : [];
+  let source = null;
+  for (let i = 0; i < SOURCE_TYPE_PREFERENCE.length && !source; i++) {
+    source = sources.find(function (s) {
+      return s['type'] == SOURCE_TYPE_PREFERENCE[i];
+    }) || null;
+  }
+
+  let contentUrl = null;
+  let contentType = null;
+  if (source) {
+    contentUrl = resolveUrl(source['url'], category[source['type']]);
+    contentType = normalizeMimeType(source['mime']) ||
+      SOURCE_CONTENT_TYPES[source['type']];
+  }
+
+  return {
+    'id': video['id'] || contentUrl,
+    'title': video['title'],
+    'subtitle': video['subtitle'] || '',
+    'contentUrl': contentUrl,
+    'contentType': contentType,
+    'thumb': resolveUrl(video['thumb'], category['images']),
+    'duration': video['duration'],
+    'tracks': normalizeTracks(video['tracks'], category['tracks']),
+    'thumbnails': normalizeThumbnails(video['thumbnails'], category['images']),
+    'adSchedule': resolveUrl(video['adSchedule'], category['ads']),
+    'streamType': normalizeStreamType(video['streamType']),
+    'dvrWindow': video['dvrWindow'],
+    'programs': normalizePrograms(video['programs']),
+    'category': category['name'] || null
+  };
+};
+
+/**
+ * Find the index of an entry by id.
+ * @param {?string} id
+ * @return {number} Index of the entry, -1 if not found.
+ */
+MediaCatalog.prototype.indexOf = function (id) {
+  return this.media.findIndex(function (entry) {
+    return entry['id'] === id;
+  });
+};
+
+/**
+ * @param {?string} url Absolute or relative URL.
+ * @param {?string} baseUrl Base URL for relative URLs.
+ * @return {?string} Absolute URL, null if it cannot be resolved.
+ */
+function resolveUrl(url, baseUrl) {
+  if (typeof url !== 'string' || !url) return null;
+  try {
+    return new URL(url, baseUrl || undefined).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Feeds are parsed JSON, so any value can appear where an object is
+ * expected.
+ * @param {*} value
+ * @return {boolean} Whether the value is a non-array object.
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * The sample feeds use 'videos/mp4' as mime type, which is not a valid
+ * content type for the receiver.
+ * @param {?string} mimeType
+ * @return {?string}
+ */
+function normalizeMimeType(mimeType) {
+  if (typeof mimeType !== 'string' || !mimeType) return null;
+  return mimeType.replace(/^videos\//, 'video/');
+}
+
+/**
+ * @param {?string} streamType Stream type of a feed entry.
+ * @return {string} Upper case stream type, BUFFERED if not set.
+ */
+function normalizeStreamType(streamType) {
+  return streamType ? String(streamType).toUpperCase() : 'BUFFERED';
+}
+
+/**
+ * @param {*} programs Programs of a live feed entry.
+ * @return {!Array<?{title: string, startTime: number, endTime: number}>}
+ *     Programs, times in seconds since the epoch. Times that cannot be
+ *     parsed are NaN, programs that are not objects null.
+ */
+function normalizePrograms(programs) {
+  return (Array.isArray(programs) ? programs : []).map(function (program) {
+    if (!isObject(program)) return null;
+    return {
+      'title': program['title'],
+      'startTime': parseDateTime(program['start']),
+      'endTime': parseDateTime(program['end'])
+    };
+  });
+}
+
+/**
+ * @param {?string|?number} value ISO 8601 date or seconds since the epoch.
+ * @return {number} Seconds since the epoch, NaN if invalid.
+ */
+function parseDateTime(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || !value) return NaN;
+  return Date.parse(value) / 1000;
+}
+
+/**
+ * @param {*} tracks Text tracks of a feed entry.
+ * @param {?string} baseUrl Base URL for relative track URLs.
+ * @return {!Array<?Object>} Normalized text tracks, null for tracks that are
+ *     not objects. Track ids are numbers, as required by
+ *     chrome.cast.media.Track.
+ */
+function normalizeTracks(tracks, baseUrl) {
+  return (Array.isArray(tracks) ? tracks : []).map(function (track, index) {
+    if (!isObject(track)) return null;
+    let subtype = track['subtype'] == null ? 'subtitles' : track['subtype'];
+    let url = resolveUrl(track['contentId'] || track['url'], baseUrl);
+    let extension = url ? url.split(/[?#]/)[0].split('.').pop().toLowerCase() : '';
+    let trackId = parseInt(track['id'], 10);
+    return {
+      'trackId': isNaN(trackId) ? index + 1 : trackId,
+      'subtype': typeof subtype === 'string' ? subtype.toUpperCase() : subtype,
+      'contentId': url,
+      'contentType': track['contentType'] || TRACK_CONTENT_TYPES[extension] || null,
+      'language': track['language'] || '',
+      'name': track['name'] || track['language'] || 'Track ' + (index + 1)
+    };
+  });
+}
+
+/**
+ * @param {?string|?Object} thumbnails Thumbnails of a feed entry.
+ * @param {?string} baseUrl Base URL for relative thumbnail URLs.
+ * @return {?Object} Normalized thumbnails, null if the entry has none.
+ */
+function normalizeThumbnails(thumbnails, baseUrl) {
+  if (!thumbnails) return null;
+  if (!isObject(thumbnails) && typeof thumbnails !== 'string') {
+    return { 'format': 'sprite', 'url': null };
+  }
+
+  if (typeof thumbnails === 'string') {
+    return { 'format': 'vtt', 'url': resolveUrl(thumbnails, baseUrl) };
+  }
+  let normalized = {
+    'format': 'sprite',
+    'url': resolveUrl(thumbnails['url'], baseUrl),
+    'width': thumbnails['width'],
+    'height': thumbnails['height'],
+    'columns': thumbnails['columns'],
+    'interval': thumbnails['interval']
+  };
+  if (thumbnails['count'] !== undefined) {
+    normalized['count'] = thumbnails['count'];
+  }
+  return normalized;
+}
+
+/**
+ * @param {!Object} thumbnails Normalized thumbnails.
+ * @return {?string} Reason the thumbnails are invalid, null if valid.
+ */
+function validateThumbnails(thumbnails) {
+  if (!thumbnails['url']) {
+    return 'Missing or unresolvable URL.';
+  }
+  if (thumbnails['format'] == 'vtt') {
+    return null;
+  }
+  let invalid = ['width', 'height', 'columns', 'interval', 'count']
+    .find(function (key) {
+      if (key == 'count' && thumbnails[key] === undefined) return false;
+      return typeof thumbnails[key] !== 'number' || !(thumbnails[key] > 0);
+    });
+  return invalid ? 'Invalid sprite ' + invalid + '.' : null;
+}
+
+/**
+ * @param {!Object} track Normalized text track.
+ * @return {?string} Reason the track is invalid, null if valid.
+ */
+function validateTrack(track) {
+  if (!track['contentId']) {
+    return 'Missing or unresolvable track URL.';
+  }
+  if (!track['contentType']) {
+    return 'Unknown track content type.';
+  }
+  if (track['subtype'] != 'SUBTITLES' && track['subtype'] != 'CAPTIONS') {
+    return 'Unsupported track subtype ' + track['subtype'] + '.';
+  }
+  return null;
+}
+
+/**
+ * @param {!Object} program Normalized program.
+ * @return {?string} Reason the program is invalid, null if valid.
+ */
+function validateProgram(program) {
+  if (typeof program['title'] !== 'string' || !program['title']) {
+    return 'Missing title.';
+  }
+  if (!isFinite(program['startTime']) || !isFinite(program['endTime'])) {
+    return 'Invalid start or end.';
+  }
+  if (program['endTime'] <= program['startTime']) {
+    return 'Ends before it starts.';
+  }
+  return null;
+}
+
+/**
+ * @param {!Object} entry Normalized media entry.
+ * @return {?string} Reason the entry is invalid, null if valid.
+ */
+function validateEntry(entry) {
+  if (typeof entry['title'] !== 'string' || !entry['title']) {
+    return 'Missing title.';
+  }
+  if (!entry['contentUrl']) {
+    return 'Missing or unresolvable content URL.';
+  }
+  if (typeof entry['contentType'] !== 'string' || !entry['contentType']) {
+    return 'Missing content type.';
+  }
+  if (entry['duration'] !== undefined &&
+    (typeof entry['duration'] !== 'number' || entry['duration'] < 0)) {
+    return 'Invalid duration.';
+  }
+  if (entry['streamType'] != 'BUFFERED' && entry['streamType'] != 'LIVE') {
+    return 'Unsupported stream type ' + entry['streamType'] + '.';
+  }
+  if (entry['dvrWindow'] !== undefined &&
+    (typeof entry['dvrWindow'] !== 'number' || entry['dvrWindow'] < 0)) {
+    return 'Invalid DVR window.';
+  }
+  return null;
+}
+
+export {
+  MediaCatalog
+}
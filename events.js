@@ -0,0 +1,115 @@
+// Copyright 2021 Google LLC. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * @enum {string} Types of events dispatched by CastPlayer. Each event is an
+ * object with a type and the properties listed below.
+ */
+const CAST_PLAYER_EVENT = {
+  // {state: PLAYER_STATE, previousState: PLAYER_STATE, reason: ?string}
+  STATE_CHANGE: 'statechange',
+  // {currentTime: number, duration: ?number}
+  TIME_UPDATE: 'timeupdate',
+  // {mediaIndex: number, media: Object}, mediaIndex is -1 and media only has
+  // a title for media of another sender that is not in the catalog.
+  MEDIA_CHANGE: 'mediachange',
+  // {volume: number, muted: boolean}
+  VOLUME_CHANGE: 'volumechange',
+  // {playbackRate: number}
+  RATE_CHANGE: 'ratechange',
+  // {}
+  BREAK_START: 'breakstart',
+  // {}
+  BREAK_END: 'breakend',
+  // {skippable: boolean}
+  SKIPPABLE_CHANGE: 'skippablechange',
+  // {breakId: ?string, breakClipId: ?string, title: ?string,
+  // clickThroughUrl: ?string, clipNumber: ?number, clipCount: ?number},
+  // the ids are null between clips. clipNumber counts from 1 in the break.
+  BREAK_CLIP_CHANGE: 'breakclipchange',
+  // {clipTime: number, clipDuration: ?number, whenSkippable: ?number}
+  BREAK_CLIP_TIME_UPDATE: 'breakcliptimeupdate',
+  // {current: ?Object, next: ?Object}, programs of live content on air at
+  // the playback position and up next, {title, startTime, endTime}.
+  PROGRAM_CHANGE: 'programchange',
+  // {error: *, message: string}
+  ERROR: 'error',
+  // {deviceName: string}
+  CAST_CONNECTED: 'castconnected',
+  // {}
+  CAST_DISCONNECTED: 'castdisconnected'
+};
+
+/**
+ * Event emitter
+ *
+ * Minimal event dispatcher with the addEventListener/removeEventListener
+ * interface used by the Cast framework. A listener that throws does not
+ * prevent the other listeners from being called.
+ * @struct @constructor
+ */
+var EventEmitter = function () {
+  /** @type {!Object<string, !Array<function(!Object)>>} Listeners by type */
+  this.listeners = {};
+};
+
+/**
+ * @param {string} type
+ * @param {function(!Object)} listener
+ */
+EventEmitter.prototype.addEventListener = function (type, listener) {
+  if (!this.listeners[type]) {
+    this.listeners[type] = [];
+  }
+  if (this.listeners[type].indexOf(listener) < 0) {
+    this.listeners[type].push(listener);
+  }
+};
+
+/**
+ * @param {string} type
+ * @param {function(!Object)} listener
+ */
+EventEmitter.prototype.removeEventListener = function (type, listener) {
+  if (!this.listeners[type]) return;
+
+  let index = this.listeners[type].indexOf(listener);
+  if (index >= 0) {
+    this.listeners[type].splice(index, 1);
+  }
+};
+
+/**
+ * Call the listeners of an event type.
+ * @param {string} type
+ * @param {!Object=} detail Properties added to the event object.
+ */
+EventEmitter.prototype.emit = function (type, detail) {
+  let event = Object.assign({ type: type }, detail);
+  // Copy so that listeners can unsubscribe while being called.
+  (this.listeners[type] || []).slice().forEach(function (listener) {
+    try {
+      listener(event);
+    } catch (e) {
+      console.error('Error in ' + type + ' listener: ', e);
+    }
+  });
+};
+
+export {
+  CAST_PLAYER_EVENT,
+  EventEmitter
+}
@@ -16,6 +16,25 @@
 
 /**
  * Hardcoded media json objects
+ *
+ * Entries may also list text tracks and have trick-play thumbnails, a
+ * WebVTT thumbnail track or a sprite sheet, see MediaCatalog. For Bigger
+ * Blazes has a subtitle track, served with the page from fixtures. Relative
+ * URLs are resolved against MEDIA_SOURCE_ROOT like contentUrl.
+ *
+ * Titles may have their own ad schedule, a VMAP or JSON file. Big Buck
+ * Bunny and Sintel play the schedules of fixtures/ads, which are served
+ * with the page. Titles without one use the sample schedule of ads.js.
+ *
+ * Live streams have a stream type instead of a duration, and may limit the
+ * DVR window and list their programs, see MediaCatalog:
+ *   'streamType': 'LIVE',
+ *   'dvrWindow': 1800,
+ *   'programs': [{
+ *     'title': 'Morning news',
+ *     'start': '2021-06-01T08:00:00Z',
+ *     'end': '2021-06-01T09:00:00Z'
+ *   }]
  */
 let mediaJSON = {
   'media': [{
@@ -24,7 +43,8 @@ let mediaJSON = {
       'contentType': 'video/mp4',
       'thumb': 'big_buck_bunny/images/screenshot1.png',
       'title': 'Big Buck Bunny',
-      'duration': 596
+      'duration': 596,
+      'adSchedule': new URL('fixtures/ads/vmap.xml', import.meta.url).href
     },
     {
       'subtitle': 'Friends Proog and Emo journey inside the folds of a seemingly infinite Machine.',
@@ -40,7 +60,15 @@ let mediaJSON = {
       'contentType': 'video/mp4',
       'thumb': 'ads/for_bigger_blazes/images/screenshot8.png',
       'title': 'For Bigger Blazes',
-      'duration': 15
+      'duration': 15,
+      'tracks': [{
+        'id': 1,
+        'subtype': 'subtitles',
+        'contentId': new URL('fixtures/tracks/for_bigger_blazes-en.vtt', import.meta.url).href,
+        'contentType': 'text/vtt',
+        'language': 'en-US',
+        'name': 'English'
+      }]
     },
     {
       'subtitle': 'Introducing Chromecast. The easiest way to enjoy online video and music on your TV. Find out more at google.com/chromecast.',
@@ -80,7 +108,8 @@ let mediaJSON = {
       'contentType': 'video/mp4',
       'thumb': 'sintel/images/screenshot7.png',
       'title': 'Sintel',
-      'duration': 887
+      'duration': 887,
+      'adSchedule': new URL('fixtures/ads/schedule.json', import.meta.url).href
     },
     {
       'subtitle': 'In an apocalyptic future, a group of soldiers and scientists takes refuge in Amsterdam to try to stop an army of robots that threatens the planet.',
@@ -0,0 +1,129 @@
+// Copyright 2021 Google LLC. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/** @enum {string} Constants of states for media for both local and remote playback */
+const PLAYER_STATE = {
+  // No media is loaded into the player. For remote playback, maps to
+  // the PlayerState.IDLE state.
+  IDLE: 'IDLE',
+  // Player is in PLAY mode but not actively playing content. For remote
+  // playback, maps to the PlayerState.BUFFERING state.
+  BUFFERING: 'BUFFERING',
+  // The media is loaded but not playing.
+  LOADED: 'LOADED',
+  // The media is playing. For remote playback, maps to the PlayerState.PLAYING state.
+  PLAYING: 'PLAYING',
+  // The media is paused. For remote playback, maps to the PlayerState.PAUSED state.
+  PAUSED: 'PAUSED',
+  // The media played to the end. For remote playback, maps to the
+  // PlayerState.IDLE state with IdleReason.FINISHED.
+  ENDED: 'ENDED',
+  // The media failed to load or play. For remote playback, maps to the
+  // PlayerState.IDLE state with IdleReason.ERROR.
+  ERROR: 'ERROR'
+};
+
+/**
+ * Allowed transitions, by current state. Staying in the same state is always
+ * allowed. IDLE may go to PAUSED when a resumed Cast session reports its
+ * media as paused before anything was loaded by this sender.
+ * @const {!Object<PLAYER_STATE, !Array<PLAYER_STATE>>}
+ */
+const PLAYER_STATE_TRANSITIONS = {
+  'IDLE': ['BUFFERING', 'LOADED', 'PAUSED', 'ERROR'],
+  'BUFFERING': ['LOADED', 'PLAYING', 'PAUSED', 'IDLE', 'ENDED', 'ERROR'],
+  'LOADED': ['PLAYING', 'PAUSED', 'BUFFERING', 'IDLE', 'ERROR'],
+  'PLAYING': ['PAUSED', 'BUFFERING', 'LOADED', 'IDLE', 'ENDED', 'ERROR'],
+  'PAUSED': ['PLAYING', 'BUFFERING', 'LOADED', 'IDLE', 'ENDED', 'ERROR'],
+  'ENDED': ['IDLE', 'BUFFERING', 'LOADED', 'ERROR'],
+  'ERROR': ['IDLE', 'BUFFERING', 'LOADED']
+};
+
+/**
+ * Number of transitions kept in the history.
+ * @const {number}
+ */
+const HISTORY_SIZE = 50;
+
+/**
+ * Player state machine
+ *
+ * Holds the player state and only accepts the transitions listed in
+ * PLAYER_STATE_TRANSITIONS. Illegal transitions are rejected and logged.
+ * Every attempted transition is recorded in a bounded history for debugging.
+ * @struct @constructor
+ */
+var PlayerStateMachine = function () {
+  /** @type {PLAYER_STATE} */
+  this.state = PLAYER_STATE.IDLE;
+  /**
+   * @type {!Array<{from: PLAYER_STATE, to: PLAYER_STATE, reason: ?string,
+   *     accepted: boolean, time: number}>}
+   */
+  this.history = [];
+};
+
+/**
+ * @param {PLAYER_STATE} state
+ * @return {boolean} Whether the current state may change to the given state.
+ */
+PlayerStateMachine.prototype.canTransition = function (state) {
+  return state == this.state ||
+    PLAYER_STATE_TRANSITIONS[this.state].indexOf(state) >= 0;
+};
+
+/**
+ * Change the state if the transition is allowed.
+ * @param {PLAYER_STATE} state
+ * @param {?string=} reason What caused the transition, for the history.
+ * @return {boolean} Whether the transition was accepted.
+ */
+PlayerStateMachine.prototype.transition = function (state, reason) {
+  let accepted = this.canTransition(state);
+  if (state != this.state) {
+    this.history.push({
+      from: this.state,
+      to: state,
+      reason: reason || null,
+      accepted: accepted,
+      time: Date.now()
+    });
+    if (this.history.length > HISTORY_SIZE) {
+      this.history.shift();
+    }
+  }
+
+  if (!accepted) {
+    console.warn('Illegal player state transition: ' + this.state + ' -> ' +
+      state + (reason ? ' (' + reason + ')' : ''));
+    return false;
+  }
+
+  this.state = state;
+  return true;
+};
+
+/**
+ * @return {!Array<!Object>} Copy of the recent transitions, oldest first.
+ */
+PlayerStateMachine.prototype.getHistory = function () {
+  return this.history.slice();
+};
+
+export {
+  PLAYER_STATE,
+  PlayerStateMachine
+}
@@ -0,0 +1,141 @@
+// Copyright 2021 Google LLC. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Program guide
+ *
+ * Programs of a live stream, as listed by its catalog entry or reported as
+ * sections by the receiver, and the program on air at the playback
+ * position. Times are clock times in seconds since the epoch.
+ * @param {?Array<{title: string, startTime: number, endTime: number}>=}
+ *     programs
+ * @struct @constructor
+ */
+var ProgramGuide = function (programs) {
+  /**
+   * @type {!Array<{title: string, startTime: number, endTime: number}>}
+   * Programs in start order
+   */
+  this.programs = [];
+  /** @type {?{title: string, startTime: number, endTime: number}} On air */
+  this.current = null;
+  /** @type {?{title: string, startTime: number, endTime: number}} Up next */
+  this.next = null;
+
+  this.setPrograms(programs || []);
+};
+
+/**
+ * Replace the programs. The current and next programs stay until the next
+ * update.
+ * @param {!Array<{title: string, startTime: number, endTime: number}>}
+ *     programs
+ */
+ProgramGuide.prototype.setPrograms = function (programs) {
+  this.programs = programs.slice().sort(function (a, b) {
+    return a['startTime'] - b['startTime'];
+  });
+};
+
+/**
+ * Add a program unless it overlaps a listed one, which takes precedence.
+ * @param {{title: string, startTime: number, endTime: number}} program
+ */
+ProgramGuide.prototype.addProgram = function (program) {
+  let overlaps = this.programs.some(function (listed) {
+    return listed['startTime'] < program['endTime'] &&
+      program['startTime'] < listed['endTime'];
+  });
+  if (overlaps) return;
+
+  this.programs.push(program);
+  this.setPrograms(this.programs);
+};
+
+/**
+ * @param {number} time
+ * @return {?{title: string, startTime: number, endTime: number}} Program on
+ *     air at the time, null if there is none.
+ */
+ProgramGuide.prototype.getProgramAt = function (time) {
+  return this.programs.find(function (program) {
+    return program['startTime'] <= time && time < program['endTime'];
+  }) || null;
+};
+
+/**
+ * @param {number} time
+ * @return {?{title: string, startTime: number, endTime: number}} First
+ *     program starting after the time, null if there is none.
+ */
+ProgramGuide.prototype.getNextProgram = function (time) {
+  return this.programs.find(function (program) {
+    return program['startTime'] > time;
+  }) || null;
+};
+
+/**
+ * Follow the playback position.
+ * @param {?number} time Clock time of the playback position, null if not
+ *     known.
+ * @return {boolean} Whether the current or next program changed.
+ */
+ProgramGuide.prototype.update = function (time) {
+  let current = time === null ? null : this.getProgramAt(time);
+  let next = time === null ? null : this.getNextProgram(time);
+  let changed = !isSameProgram(current, this.current) ||
+    !isSameProgram(next, this.next);
+  this.current = current;
+  this.next = next;
+  return changed;
+};
+
+/**
+ * @param {number} from
+ * @param {number} to
+ * @return {!Array<number>} Start and end times of programs strictly between
+ *     the times, in order and without duplicates.
+ */
+ProgramGuide.prototype.getBoundaries = function (from, to) {
+  let boundaries = [];
+  this.programs.forEach(function (program) {
+    [program['startTime'], program['endTime']].forEach(function (time) {
+      if (time > from && time < to && boundaries.indexOf(time) < 0) {
+        boundaries.push(time);
+      }
+    });
+  });
+  return boundaries.sort(function (a, b) {
+    return a - b;
+  });
+};
+
+/**
+ * Programs are rebuilt from the receiver metadata, so they are compared by
+ * value.
+ * @param {?Object} a
+ * @param {?Object} b
+ * @return {boolean}
+ */
+function isSameProgram(a, b) {
+  if (!a || !b) return a === b;
+  return a['title'] === b['title'] && a['startTime'] === b['startTime'] &&
+    a['endTime'] === b['endTime'];
+}
+
+export {
+  ProgramGuide
+}
@@ -0,0 +1,118 @@
+// Copyright 2021 Google LLC. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Media queue
+ *
+ * Ordered list of catalog entry ids and the position of the entry being
+ * played. The queue is owned by the sender so that the same order is used by
+ * both the local player and the Cast queue, and survives switching between
+ * them. Each id appears at most once.
+ * @struct @constructor
+ */
+var MediaQueue = function () {
+  /** @type {!Array<string>} Catalog entry ids in playback order */
+  this.items = [];
+  /** @type {number} Position of the current entry, -1 if the queue is empty */
+  this.currentPosition = -1;
+};
+
+/**
+ * @return {?string} Id of the current entry.
+ */
+MediaQueue.prototype.current = function () {
+  return this.currentPosition >= 0 ? this.items[this.currentPosition] : null;
+};
+
+/**
+ * @param {string} id
+ * @return {number} Position of the entry, -1 if not queued.
+ */
+MediaQueue.prototype.indexOf = function (id) {
+  return this.items.indexOf(id);
+};
+
+/**
+ * Insert an entry. Entries already in the queue are not added twice.
+ * @param {string} id
+ * @param {number=} position Position to insert at. Appends if omitted.
+ * @return {number} Position of the entry.
+ */
+MediaQueue.prototype.insert = function (id, position) {
+  let existing = this.indexOf(id);
+  if (existing >= 0) return existing;
+
+  if (position === undefined || position > this.items.length) {
+    position = this.items.length;
+  }
+  this.items.splice(position, 0, id);
+  if (this.currentPosition < 0) {
+    this.currentPosition = 0;
+  } else if (position <= this.currentPosition) {
+    this.currentPosition++;
+  }
+  return position;
+};
+
+/**
+ * Remove the entry at the given position.
+ * @param {number} position
+ */
+MediaQueue.prototype.remove = function (position) {
+  if (position < 0 || position >= this.items.length) return;
+
+  this.items.splice(position, 1);
+  if (position < this.currentPosition ||
+    this.currentPosition >= this.items.length) {
+    this.currentPosition--;
+  }
+};
+
+/**
+ * Move an entry, keeping the current entry current.
+ * @param {number} from
+ * @param {number} to
+ */
+MediaQueue.prototype.move = function (from, to) {
+  if (from < 0 || from >= this.items.length ||
+    to < 0 || to >= this.items.length || from == to) {
+    return;
+  }
+
+  let current = this.current();
+  let id = this.items.splice(from, 1)[0];
+  this.items.splice(to, 0, id);
+  this.currentPosition = this.indexOf(current);
+};
+
+/**
+ * @return {boolean}
+ */
+MediaQueue.prototype.hasNext = function () {
+  return this.currentPosition >= 0 &&
+    this.currentPosition < this.items.length - 1;
+};
+
+/**
+ * @return {boolean}
+ */
+MediaQueue.prototype.hasPrevious = function () {
+  return this.currentPosition > 0;
+};
+
+export {
+  MediaQueue
+}
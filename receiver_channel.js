@@ -0,0 +1,246 @@
+// Copyright 2021 Google LLC. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * @enum {string} Types of the app messages. Requests carry a data object,
+ * the receiver answers with a RESPONSE or an ERROR of the same requestId.
+ */
+const RECEIVER_MESSAGE = {
+  // Sender -> receiver {text: string, duration: ?number}
+  SHOW_OVERLAY: 'SHOW_OVERLAY',
+  // Sender -> receiver {}, responds with receiver defined diagnostics
+  GET_DIAGNOSTICS: 'GET_DIAGNOSTICS',
+  // Sender -> receiver {id: string, name: string, preferences: Object}
+  SET_USER_PROFILE: 'SET_USER_PROFILE',
+  // Either direction {data: *}
+  RESPONSE: 'RESPONSE',
+  // Either direction {error: string}
+  ERROR: 'ERROR'
+};
+
+/**
+ * Time in milliseconds to wait for a response.
+ * @const {number}
+ */
+const RESPONSE_TIMEOUT = 5000;
+
+/**
+ * Receiver channel
+ *
+ * Request/response protocol on a custom namespace of a Cast session. Every
+ * message is a JSON object {type, requestId, data}. Requests sent with send()
+ * resolve with the data of the RESPONSE of the same requestId, and reject
+ * with a chrome.cast.ErrorCode: TIMEOUT if no response arrives in time,
+ * SESSION_ERROR if the session ends first, or with an Error whose message is
+ * the error of an ERROR of the receiver. Either can be passed to
+ * CastPlayer.getErrorMessage.
+ *
+ * Requests of the receiver are dispatched to the handlers registered by type.
+ * Their results, or promises of results, are sent back as the response.
+ * @param {string} namespace Custom namespace, starting with urn:x-cast:.
+ * @struct @constructor
+ */
+var ReceiverChannel = function (namespace) {
+  /** @type {string} */
+  this.namespace = namespace;
+  /** @type {?cast.framework.CastSession} Session messages are sent on */
+  this.session = null;
+  /** @type {number} Id of the next request */
+  this.nextRequestId = 1;
+  /**
+   * @type {!Object<number, {resolve: function(*), reject: function(*),
+   *     timer: number}>} Requests waiting for a response, by requestId
+   */
+  this.pending = {};
+  /** @type {!Object<string, function(*): *>} Request handlers by type */
+  this.handlers = {};
+  /** @type {function(string, string)} Listener of the session messages */
+  this.messageListener = this.onMessage.bind(this);
+};
+
+/**
+ * Send and receive messages on a session.
+ * @param {!cast.framework.CastSession} session
+ */
+ReceiverChannel.prototype.attach = function (session) {
+  if (session == this.session) return;
+
+  this.detach();
+  this.session = session;
+  session.addMessageListener(this.namespace, this.messageListener);
+};
+
+/**
+ * Stop using the session. Pending requests fail with SESSION_ERROR.
+ */
+ReceiverChannel.prototype.detach = function () {
+  if (!this.session) return;
+
+  this.session.removeMessageListener(this.namespace, this.messageListener);
+  this.session = null;
+  Object.keys(this.pending).forEach(function (requestId) {
+    this.settle(requestId).reject(chrome.cast.ErrorCode.SESSION_ERROR);
+  }, this);
+};
+
+/**
+ * Send a request to the receiver.
+ * @param {RECEIVER_MESSAGE} type
+ * @param {*=} data
+ * @return {!Promise<*>} Resolves with the data of the response.
+ */
+ReceiverChannel.prototype.send = function (type, data) {
+  if (!this.session) {
+    return Promise.reject(chrome.cast.ErrorCode.SESSION_ERROR);
+  }
+
+  let requestId = this.nextRequestId++;
+  let response = new Promise(function (resolve, reject) {
+    this.pending[requestId] = {
+      resolve: resolve,
+      reject: reject,
+      timer: setTimeout(function () {
+        this.settle(requestId).reject(chrome.cast.ErrorCode.TIMEOUT);
+      }.bind(this), RESPONSE_TIMEOUT)
+    };
+  }.bind(this));
+
+  this.post({ type: type, requestId: requestId, data: data }).catch(
+    function (errorCode) {
+      if (this.pending[requestId]) {
+        this.settle(requestId).reject(errorCode);
+      }
+    }.bind(this));
+  return response;
+};
+
+/**
+ * Handle the requests of a type sent by the receiver. There is one handler
+ * per type, a new one replaces the previous one.
+ * @param {string} type
+ * @param {?function(*): *} handler Called with the data of the request,
+ *     returns the data of the response or a promise of it. Null to remove.
+ */
+ReceiverChannel.prototype.setHandler = function (type, handler) {
+  if (handler) {
+    this.handlers[type] = handler;
+  } else {
+    delete this.handlers[type];
+  }
+};
+
+/**
+ * @param {string} namespace
+ * @param {string} text Message of the receiver, JSON.
+ */
+ReceiverChannel.prototype.onMessage = function (namespace, text) {
+  let message = parseMessage(text);
+  if (!message) {
+    console.log('Ignoring malformed message on ' + namespace + ': ' + text);
+    return;
+  }
+
+  if (message.type == RECEIVER_MESSAGE.RESPONSE ||
+    message.type == RECEIVER_MESSAGE.ERROR) {
+    if (!this.pending[message.requestId]) {
+      // Answered after the timeout.
+      console.log('No pending request ' + message.requestId + ' for ' + message.type);
+      return;
+    }
+    let request = this.settle(message.requestId);
+    if (message.type == RECEIVER_MESSAGE.RESPONSE) {
+      request.resolve(message.data);
+    } else {
+      request.reject(new Error(String(message.data && message.data.error ||
+        'The receiver failed to handle the request.')));
+    }
+    return;
+  }
+
+  let handler = this.handlers[message.type];
+  let result = handler ?
+    new Promise(function (resolve) {
+      resolve(handler(message.data));
+    }) :
+    Promise.reject(new Error('Unsupported message type ' + message.type));
+  result.then(function (data) {
+    return this.post({
+      type: RECEIVER_MESSAGE.RESPONSE,
+      requestId: message.requestId,
+      data: data
+    });
+  }.bind(this), function (error) {
+    return this.post({
+      type: RECEIVER_MESSAGE.ERROR,
+      requestId: message.requestId,
+      data: { error: String(error && error.message || error) }
+    });
+  }.bind(this)).catch(function (errorCode) {
+    console.log('Response to ' + message.type + ' could not be sent: ' + errorCode);
+  });
+};
+
+/**
+ * @param {!Object} message
+ * @return {!Promise} Rejects with a chrome.cast.ErrorCode if not sent.
+ */
+ReceiverChannel.prototype.post = function (message) {
+  if (!this.session) {
+    return Promise.reject(chrome.cast.ErrorCode.SESSION_ERROR);
+  }
+  return this.session.sendMessage(this.namespace, message);
+};
+
+/**
+ * Stop waiting for a response.
+ * @param {number|string} requestId
+ * @return {{resolve: function(*), reject: function(*)}} Callbacks of the
+ *     request promise.
+ */
+ReceiverChannel.prototype.settle = function (requestId) {
+  let request = this.pending[requestId];
+  delete this.pending[requestId];
+  clearTimeout(request.timer);
+  return request;
+};
+
+/**
+ * @param {string|!Object} text
+ * @return {?{type: string, requestId: ?number, data: *}} Null if the message
+ *     is not a JSON object with a type.
+ */
+function parseMessage(text) {
+  let message = text;
+  if (typeof text === 'string') {
+    try {
+      message = JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (!message || typeof message.type !== 'string') return null;
+
+  return {
+    type: message.type,
+    requestId: message.requestId === undefined ? null : message.requestId,
+    data: message.data
+  };
+}
+
+export {
+  RECEIVER_MESSAGE,
+  ReceiverChannel
+}
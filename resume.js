@@ -0,0 +1,153 @@
+// Copyright 2021 Google LLC. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Storage key for the resume positions.
+ * @const {string}
+ */
+const RESUME_STORAGE_KEY = 'castvideos.resume';
+
+/**
+ * Positions, in seconds, closer than this to the start are not worth
+ * resuming from.
+ * @const {number}
+ */
+const MIN_RESUME_TIME = 5;
+
+/**
+ * Positions, in seconds, closer than this to the end count as watched.
+ * @const {number}
+ */
+const END_MARGIN = 10;
+
+/**
+ * Resume store
+ *
+ * Keeps the last playback position of each catalog entry in local storage.
+ * Storage failures (private browsing, quota) are logged and otherwise
+ * ignored, playback then simply starts from the beginning.
+ * @param {?Storage=} storage Defaults to window.localStorage.
+ * @struct @constructor
+ */
+var ResumeStore = function (storage) {
+  /** @type {?Storage} */
+  this.storage = storage === undefined ? getLocalStorage() : storage;
+  /**
+   * @type {!Object<string, {time: number, duration: number, updated: number}>}
+   * Positions by catalog entry id
+   */
+  this.positions = this.read();
+};
+
+/**
+ * @param {string} id Catalog entry id.
+ * @return {number} Position to resume from in seconds, 0 if none.
+ */
+ResumeStore.prototype.getTime = function (id) {
+  return this.positions[id] ? this.positions[id].time : 0;
+};
+
+/**
+ * @param {string} id Catalog entry id.
+ * @return {number} Watched fraction between 0 and 1.
+ */
+ResumeStore.prototype.getProgress = function (id) {
+  let position = this.positions[id];
+  if (!position || !position.duration) return 0;
+  return Math.min(1, position.time / position.duration);
+};
+
+/**
+ * Save a position. Positions near the start or the end clear the entry.
+ * @param {string} id Catalog entry id.
+ * @param {number} time Current time in seconds.
+ * @param {number} duration Duration in seconds.
+ */
+ResumeStore.prototype.save = function (id, time, duration) {
+  if (!(duration > 0) || time < MIN_RESUME_TIME ||
+    time > duration - END_MARGIN) {
+    this.clear(id);
+    return;
+  }
+
+  this.positions[id] = {
+    time: Math.floor(time),
+    duration: duration,
+    updated: Date.now()
+  };
+  this.write();
+};
+
+/**
+ * @param {string} id Catalog entry id.
+ */
+ResumeStore.prototype.clear = function (id) {
+  if (!this.positions[id]) return;
+
+  delete this.positions[id];
+  this.write();
+};
+
+/**
+ * @return {!Array<string>} Ids with a saved position, most recent first.
+ */
+ResumeStore.prototype.getIds = function () {
+  return Object.keys(this.positions).sort(function (a, b) {
+    return this.positions[b].updated - this.positions[a].updated;
+  }.bind(this));
+};
+
+/**
+ * @return {!Object} Positions saved in storage.
+ */
+ResumeStore.prototype.read = function () {
+  try {
+    let value = this.storage && this.storage.getItem(RESUME_STORAGE_KEY);
+    return value ? JSON.parse(value) : {};
+  } catch (e) {
+    console.log('Resume positions could not be read: ' + e);
+    return {};
+  }
+};
+
+/**
+ * Write the positions to storage.
+ */
+ResumeStore.prototype.write = function () {
+  try {
+    if (this.storage) {
+      this.storage.setItem(RESUME_STORAGE_KEY, JSON.stringify(this.positions));
+    }
+  } catch (e) {
+    console.log('Resume positions could not be saved: ' + e);
+  }
+};
+
+/**
+ * @return {?Storage} Local storage, null if access is denied.
+ */
+function getLocalStorage() {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    console.log('Local storage is not available: ' + e);
+    return null;
+  }
+}
+
+export {
+  ResumeStore
+}
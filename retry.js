@@ -0,0 +1,57 @@
+// Copyright 2021 Google LLC. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Retry policy
+ *
+ * Counts the attempts of an operation and computes an exponential backoff
+ * delay: baseDelay, 2 * baseDelay, 4 * baseDelay, ... until maxRetries is
+ * reached. Call reset() once the operation succeeds.
+ * @param {number} maxRetries Number of retries before giving up.
+ * @param {number} baseDelay Delay before the first retry in milliseconds.
+ * @struct @constructor
+ */
+var RetryPolicy = function (maxRetries, baseDelay) {
+  /** @type {number} */
+  this.maxRetries = maxRetries;
+  /** @type {number} */
+  this.baseDelay = baseDelay;
+  /** @type {number} Retries since the last reset */
+  this.retries = 0;
+};
+
+/**
+ * Count a retry.
+ * @return {?number} Delay before the retry in milliseconds, null if no
+ *     retries are left.
+ */
+RetryPolicy.prototype.nextDelay = function () {
+  if (this.retries >= this.maxRetries) {
+    return null;
+  }
+  return this.baseDelay * Math.pow(2, this.retries++);
+};
+
+/**
+ * Start counting from zero again.
+ */
+RetryPolicy.prototype.reset = function () {
+  this.retries = 0;
+};
+
+export {
+  RetryPolicy
+}
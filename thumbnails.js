@@ -0,0 +1,156 @@
+// Copyright 2021 Google LLC. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Size, in pixels, of thumbnails that do not specify one.
+ * @const {{width: number, height: number}}
+ */
+const DEFAULT_THUMBNAIL_SIZE = { width: 160, height: 90 };
+
+/**
+ * Thumbnail track
+ *
+ * Preview frames of a catalog entry for trick play. Two formats are
+ * supported, see MediaCatalog:
+ *  - 'vtt': a WebVTT file whose cue payloads are image URLs, optionally
+ *    with a media fragment selecting a tile of a sprite sheet:
+ *      00:00:10.000 --> 00:00:20.000
+ *      sprite.jpg#xywh=160,0,160,90
+ *  - 'sprite': a single sprite sheet of tiles of the given size, one tile
+ *    every interval seconds, laid out in rows of the given number of columns.
+ * @param {!Object} thumbnails Normalized thumbnails of a catalog entry.
+ * @struct @constructor
+ */
+var ThumbnailTrack = function (thumbnails) {
+  /** @type {!Object} */
+  this.thumbnails = thumbnails;
+  /**
+   * @type {!Array<{start: number, end: number, url: string, x: number,
+   *     y: number, width: number, height: number, scaled: boolean}>}
+   * Cues of a WebVTT track
+   */
+  this.cues = [];
+  /** @type {boolean} Whether getThumbnail can be called */
+  this.loaded = thumbnails['format'] == 'sprite';
+  /** @type {?Promise} Pending or completed load */
+  this.loading = null;
+};
+
+/**
+ * Fetch and parse the WebVTT file. Sprite sheets need no loading.
+ * @return {!Promise} Resolves once the thumbnails can be looked up.
+ */
+ThumbnailTrack.prototype.load = function () {
+  if (this.loaded) return Promise.resolve();
+  if (this.loading) return this.loading;
+
+  let url = this.thumbnails['url'];
+  this.loading = fetch(url).then(function (response) {
+    if (!response.ok) {
+      throw new Error('Thumbnail request failed with status ' + response.status);
+    }
+    return response.text();
+  }).then(function (text) {
+    this.cues = parseThumbnailVtt(text, url);
+    this.loaded = true;
+  }.bind(this));
+  return this.loading;
+};
+
+/**
+ * @param {number} time Media time in seconds.
+ * @return {?{url: string, x: number, y: number, width: number,
+ *     height: number, scaled: boolean}} Thumbnail of the time: the tile at
+ *     x, y of the image, or the whole image scaled to width and height.
+ *     Null if there is none or the track is not loaded yet.
+ */
+ThumbnailTrack.prototype.getThumbnail = function (time) {
+  if (!this.loaded) return null;
+
+  if (this.thumbnails['format'] == 'sprite') {
+    let width = this.thumbnails['width'];
+    let height = this.thumbnails['height'];
+    let tile = Math.max(0, Math.floor(time / this.thumbnails['interval']));
+    if (this.thumbnails['count'] !== undefined) {
+      tile = Math.min(tile, this.thumbnails['count'] - 1);
+    }
+    return {
+      url: this.thumbnails['url'],
+      x: (tile % this.thumbnails['columns']) * width,
+      y: Math.floor(tile / this.thumbnails['columns']) * height,
+      width: width,
+      height: height,
+      scaled: false
+    };
+  }
+
+  return this.cues.find(function (cue) {
+    return time >= cue.start && time < cue.end;
+  }) || null;
+};
+
+/**
+ * @param {string} text WebVTT file.
+ * @param {string} baseUrl URL of the file, for relative image URLs.
+ * @return {!Array<!Object>} Cues with absolute image URLs, in file order.
+ */
+function parseThumbnailVtt(text, baseUrl) {
+  let cues = [];
+  // Cues are blocks separated by blank lines, the header block has no timing.
+  text.replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach(function (block) {
+    let lines = block.trim().split('\n');
+    let timingIndex = lines.findIndex(function (line) {
+      return line.indexOf('-->') >= 0;
+    });
+    if (timingIndex < 0 || !lines[timingIndex + 1]) return;
+
+    let timing = lines[timingIndex].split('-->');
+    let start = parseVttTime(timing[0]);
+    let end = parseVttTime(timing[1]);
+    if (start === null || end === null) return;
+
+    let payload = lines[timingIndex + 1].trim();
+    let fragment = payload.match(/#xywh=(\d+),(\d+),(\d+),(\d+)$/);
+    let url = new URL(payload.replace(/#.*$/, ''), baseUrl).href;
+    cues.push({
+      start: start,
+      end: end,
+      url: url,
+      x: fragment ? parseInt(fragment[1], 10) : 0,
+      y: fragment ? parseInt(fragment[2], 10) : 0,
+      width: fragment ? parseInt(fragment[3], 10) : DEFAULT_THUMBNAIL_SIZE.width,
+      height: fragment ? parseInt(fragment[4], 10) : DEFAULT_THUMBNAIL_SIZE.height,
+      // Whole images are scaled to the default size instead of cropped.
+      scaled: !fragment
+    });
+  });
+  return cues;
+}
+
+/**
+ * @param {string} value WebVTT timestamp, hh:mm:ss.ttt or mm:ss.ttt.
+ * @return {?number} Time in seconds, null if malformed.
+ */
+function parseVttTime(value) {
+  let match = value.trim().split(/\s/)[0].match(/^(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})$/);
+  if (!match) return null;
+  return parseInt(match[1] || '0', 10) * 3600 + parseInt(match[2], 10) * 60 +
+    parseInt(match[3], 10) + parseInt(match[4], 10) / 1000;
+}
+
+export {
+  ThumbnailTrack
+}
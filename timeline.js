@@ -0,0 +1,185 @@
+// Copyright 2021 Google LLC. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+// http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict';
+
+/**
+ * Stream timeline
+ *
+ * Maps between the time of a stream with server-side stitched (embedded)
+ * breaks and the time of its content. Embedded breaks are positioned in
+ * content time like other breaks and take their duration of stream time:
+ * with a 30 second break at 60, stream time 100 is content time 70. During
+ * a break, content time stays at the break position.
+ *
+ * Breaks that played to their end, or that the receiver reports as
+ * watched, are skipped when playback reaches them again.
+ * @struct @constructor
+ */
+var StreamTimeline = function () {
+  /** @type {?string} Content the breaks belong to */
+  this.contentId = null;
+  /**
+   * @type {!Array<{id: string, position: number, duration: number,
+   *     streamStart: number, streamEnd: number}>}
+   * Embedded mid-rolls and pre-rolls, in position order
+   */
+  this.breaks = [];
+  /** @type {number} Duration of embedded post-rolls */
+  this.postRollDuration = 0;
+  /** @type {!Object<string, boolean>} Ids of the breaks played to their end */
+  this.watched = {};
+  /** @type {?string} Id of the break being played */
+  this.currentBreakId = null;
+};
+
+/**
+ * Replace the breaks. Watched breaks are remembered as long as the content
+ * stays the same.
+ * @param {?string} contentId
+ * @param {?Array<!Object>} breaks chrome.cast.media.Break objects or breaks
+ *     of an AdSchedule, only embedded ones with a duration are used.
+ */
+StreamTimeline.prototype.setBreaks = function (contentId, breaks) {
+  if (contentId !== this.contentId) {
+    this.contentId = contentId;
+    this.watched = {};
+    this.currentBreakId = null;
+  }
+
+  let embedded = (breaks || []).filter(function (adBreak) {
+    return adBreak['isEmbedded'] && adBreak['duration'] > 0;
+  });
+  embedded.forEach(function (adBreak) {
+    if (adBreak['isWatched']) {
+      this.watched[adBreak['id']] = true;
+    }
+  }, this);
+
+  this.postRollDuration = 0;
+  this.breaks = [];
+  let offset = 0;
+  embedded.filter(function (adBreak) {
+    if (adBreak['position'] >= 0) return true;
+    this.postRollDuration += adBreak['duration'];
+    return false;
+  }, this).sort(function (a, b) {
+    return a['position'] - b['position'];
+  }).forEach(function (adBreak) {
+    let streamStart = adBreak['position'] + offset;
+    offset += adBreak['duration'];
+    this.breaks.push({
+      id: adBreak['id'],
+      position: adBreak['position'],
+      duration: adBreak['duration'],
+      streamStart: streamStart,
+      streamEnd: streamStart + adBreak['duration']
+    });
+  }, this);
+  if (!this.breaks.some(function (adBreak) {
+    return adBreak.id == this.currentBreakId;
+  }, this)) {
+    this.currentBreakId = null;
+  }
+};
+
+/**
+ * @param {?number} streamTime
+ * @return {?number} Content time, the break position during a break.
+ */
+StreamTimeline.prototype.toContentTime = function (streamTime) {
+  if (streamTime == null) return streamTime;
+
+  let offset = 0;
+  for (let i = 0; i < this.breaks.length; i++) {
+    let adBreak = this.breaks[i];
+    if (streamTime < adBreak.streamStart) break;
+    if (streamTime < adBreak.streamEnd) return adBreak.position;
+    offset += adBreak.duration;
+  }
+  return streamTime - offset;
+};
+
+/**
+ * @param {number} contentTime
+ * @return {number} Stream time. A break at exactly the content time plays
+ *     first.
+ */
+StreamTimeline.prototype.toStreamTime = function (contentTime) {
+  let offset = 0;
+  for (let i = 0; i < this.breaks.length; i++) {
+    if (this.breaks[i].position >= contentTime) break;
+    offset += this.breaks[i].duration;
+  }
+  return contentTime + offset;
+};
+
+/**
+ * @param {?number} streamDuration
+ * @return {?number} Duration of the content without the embedded breaks.
+ */
+StreamTimeline.prototype.toContentDuration = function (streamDuration) {
+  if (streamDuration == null || !isFinite(streamDuration)) return streamDuration;
+
+  let adDuration = this.postRollDuration;
+  this.breaks.forEach(function (adBreak) {
+    if (adBreak.streamStart < streamDuration) {
+      adDuration += adBreak.duration;
+    }
+  });
+  return Math.max(0, streamDuration - adDuration);
+};
+
+/**
+ * @param {number} streamTime
+ * @return {?{id: string, position: number, duration: number,
+ *     streamStart: number, streamEnd: number}} Break played at the time.
+ */
+StreamTimeline.prototype.getBreakAt = function (streamTime) {
+  return this.breaks.find(function (adBreak) {
+    return streamTime >= adBreak.streamStart && streamTime < adBreak.streamEnd;
+  }) || null;
+};
+
+/**
+ * Follow playback through the breaks.
+ * @param {number} streamTime Current stream time.
+ * @return {?number} Stream time to seek to in order to skip a watched break
+ *     that playback reached again, null to continue.
+ */
+StreamTimeline.prototype.track = function (streamTime) {
+  let current = this.getBreakAt(streamTime);
+
+  if (this.currentBreakId && (!current || current.id != this.currentBreakId)) {
+    let previous = this.breaks.find(function (adBreak) {
+      return adBreak.id == this.currentBreakId;
+    }, this);
+    // Breaks cannot be seeked out of, so leaving forward is their end.
+    if (previous && streamTime >= previous.streamEnd) {
+      this.watched[previous.id] = true;
+    }
+    this.currentBreakId = null;
+  }
+
+  if (!current) return null;
+  if (this.watched[current.id]) {
+    return current.streamEnd;
+  }
+  this.currentBreakId = current.id;
+  return null;
+};
+
+export {
+  StreamTimeline
+}